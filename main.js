@@ -1,20 +1,119 @@
 import * as THREE from 'three';
+import { parseMap, laneOffset, CROSSWALK_DEPTH } from './src/map.js';
+import { createRng, randomSeed, deriveSeed } from './src/rng.js';
+import { createReplay, recordAction, applyActionsForTick, serializeReplay, parseReplay } from './src/replay.js';
+import { createSimulation, SIM_HZ, MAX_HP } from './src/simulation.js';
+import { createSnapshot, serializeSnapshot, parseSnapshot, loadAutosave, saveAutosave, clearAutosave } from './src/snapshot.js';
+import { createCameraController } from './src/camera.js';
+import { createAudioEngine } from './src/audio.js';
+import { MINIMAP_SIZES, loadSettings, saveSettings } from './src/settings.js';
+import {
+    boardKey,
+    cleanInitials,
+    loadLeaderboard,
+    saveLeaderboard,
+    loadInitials,
+    saveInitials,
+    addEntry,
+    boardEntries,
+    personalBest,
+    serializeLeaderboard,
+    parseLeaderboard,
+    mergeLeaderboards
+} from './src/leaderboard.js';
+import { isSignalRed } from './src/traffic.js';
+import { VEHICLE_TYPES } from './src/vehicles.js';
+import { PICKUP_TYPES, TIMED_PICKUPS } from './src/pickups.js';
+import {
+    BARRICADE_TYPES,
+    BARRICADE_KINDS,
+    DEFAULT_BARRICADE,
+    barricadePlacement,
+    barricadesToClear,
+    slotsUsed
+} from './src/barricades.js';
+import { parseStages, freePlayRound, loadProgress, saveProgress, unlockNextStage } from './src/stages.js';
+import {
+    CONTROLS,
+    defaultBindings,
+    loadBindings,
+    saveBindings,
+    controlForKey,
+    controlForButton,
+    bindKey,
+    bindButton,
+    keyLabel,
+    buttonLabel
+} from './src/input.js';
+import campaignDefinition from './stages/campaign.json';
+
+// --- MAPS & STAGES ---
+// Every JSON file in ./maps is bundled. The campaign (stages/campaign.json)
+// picks a map per stage; ?map=<file name> plays that map in free play instead.
+const DEFAULT_MAP = 'grid-2x2';
+const mapDefinitions = import.meta.glob('./maps/*.json', { eager: true, import: 'default' });
+const campaign = parseStages(campaignDefinition);
+const progress = loadProgress();
+
+function loadMap(id) {
+    const def = mapDefinitions[`./maps/${id}.json`];
+    if (!def) {
+        console.warn(`Unknown map "${id}", falling back to "${DEFAULT_MAP}"`);
+        return { ...parseMap(mapDefinitions[`./maps/${DEFAULT_MAP}.json`]), id: DEFAULT_MAP };
+    }
+    return { ...parseMap(def), id: id };
+}
+
+// Opening round: ?map= is free play, ?stage=N starts that stage if it is
+// unlocked, otherwise pick up at the furthest stage reached.
+function initialRound() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('map')) return freePlayRound(params.get('map'));
+    const requested = Number(params.get('stage'));
+    if (Number.isInteger(requested) && requested >= 1 && requested <= progress.unlocked && campaign[requested - 1]) {
+        return campaign[requested - 1];
+    }
+    return campaign[Math.min(progress.unlocked, campaign.length) - 1];
+}
+
+let map = null; // Current map, set by startRound()
+let currentRound = null; // Rules of the round being played (a stage or free play)
+
+// --- SIMULATION CLOCK ---
+// The game logic (src/simulation.js) advances in fixed ticks, independent of
+// the display's refresh rate. This file only renders its state.
+const SIM_STEP_MS = 1000 / SIM_HZ;
+const MAX_FRAME_MS = 250; // Cap catch-up after a stall (e.g. a backgrounded tab)
+
+// --- RANDOMNESS ---
+// ?seed=<number> pins the run; otherwise every round gets a fresh seed.
+// Gameplay randomness lives in the simulation; this one drives cosmetic
+// effects (particles, camera shake) so they replay identically too.
+const pinnedSeed = new URLSearchParams(window.location.search).get('seed');
+let runSeed = 0;
+let fxRng = Math.random;
+
+function seedRun(seed) {
+    runSeed = seed >>> 0;
+    fxRng = createRng(deriveSeed(runSeed, 1));
+}
+
+function nextSeed() {
+    return pinnedSeed !== null ? Number(pinnedSeed) : randomSeed();
+}
+
+let sim = null; // Simulation for the current round, see startRound()
 
-// --- GAME STATE ---
-let score = 0;
-let targetScore = 2000;
-let timeLeft = 60;
-let gameState = 'playing'; // 'playing', 'clear', 'over'
-let lastTick = Date.now();
-
-// --- PLAYER CHARACTER STATE ---
-const MAX_HP = 3;
-let playerHP = MAX_HP;
-let playerInvincible = 0; // Invincibility frames counter
-const PLAYER_SPEED = 0.18;
-let playerTarget = null; // {x, z} click target
-const MAX_BARRICADES = 3;
-const barricades = [];
+// --- INPUT RECORDING & PLAYBACK ---
+// Player input is queued and applied at the start of the next tick, stamped
+// with that tick, so a run can be reproduced from its seed plus this log.
+const pendingActions = [];
+let recording = null; // Replay being recorded for the current round
+let lastReplay = null; // Recording of the most recently finished round
+let playback = null; // { replay, cursor, paused, speed } while watching a replay
+let fastForwarding = false; // Seeking: skip DOM-only effects
+let paused = false; // Pause menu is up: no ticks run
+const settings = loadSettings();
 
 // --- SCENE SETUP ---
 const scene = new THREE.Scene();
@@ -33,17 +132,25 @@ const mainCamera = new THREE.PerspectiveCamera(45, window.innerWidth / window.in
 mainCamera.position.set(0, 95, 45); // Elevated higher to see the grid
 mainCamera.lookAt(0, 0, 0);
 
-// 2. Minimap Camera (Orthographic, pure top-down)
-const minimapSize = 200; // Match CSS size
-const viewSize = 160; // Expanded to show the whole area including spawn points
-const aspectRatio = minimapSize / minimapSize;
-const minimapCamera = new THREE.OrthographicCamera(
-    -viewSize * aspectRatio / 2, viewSize * aspectRatio / 2,
-    viewSize / 2, -viewSize / 2,
-    0.1, 100
-);
-minimapCamera.position.set(0, 50, 0);
-minimapCamera.lookAt(0, 0, 0);
+// Zoom, pan, rotation and follow mode live in the camera controller
+// (src/camera.js); placeMainCamera() applies it with the shake on top.
+const cameraController = createCameraController();
+const cameraPose = { x: 0, y: 0, z: 0, targetX: 0, targetZ: 0 };
+
+function placeMainCamera() {
+    cameraController.pose(cameraPose);
+    const shake = settings.shake;
+    mainCamera.position.set(cameraPose.x, cameraPose.y, cameraPose.z).addScaledVector(shakeOffset, shake);
+    mainCamera.lookAt(
+        cameraPose.targetX + shakeOffset.x * shake,
+        shakeOffset.y * shake,
+        cameraPose.targetZ + shakeOffset.z * shake
+    );
+}
+
+// 2. Minimap Camera (Orthographic, pure top-down, framed to the map in buildWorld())
+const aspectRatio = 1; // The minimap is square at every size (see the pause menu)
+const minimapCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 100);
 minimapCamera.layers.enable(1); // Enable layer 1 so minimap camera can see blips
 
 // --- LIGHTS ---
@@ -55,104 +162,190 @@ directionalLight.position.set(10, 20, 10);
 directionalLight.castShadow = true;
 scene.add(directionalLight);
 
-// --- ENVIRONMENT (Intersection Grid) ---
-const roadWidthV = 20;
-const roadWidthH = 24;
-const gridSpacing = 20; // Distance from center for each road
-const roadLength = 120;
-const roadMaterial = new THREE.MeshStandardMaterial({ color: 0x444444 });
+// --- ENVIRONMENT (Road network from the map) ---
+// Everything that depends on the map lives in worldGroup and is rebuilt by
+// buildWorld() whenever a round is played on a different map. Geometries and
+// materials made for one map are registered with own() so buildWorld() can
+// dispose exactly those; anything shared between maps is never disposed.
+const worldResources = [];
 
-// 2 Horizontal Roads (Top, Bottom)
-// They use roadWidthH for their depth
-const roadHTop = new THREE.Mesh(new THREE.BoxGeometry(roadLength, 0.5, roadWidthH), roadMaterial);
-roadHTop.position.set(0, -0.25, -gridSpacing);
-scene.add(roadHTop);
-
-const roadHBot = new THREE.Mesh(new THREE.BoxGeometry(roadLength, 0.5, roadWidthH), roadMaterial);
-roadHBot.position.set(0, -0.25, gridSpacing);
-scene.add(roadHBot);
-
-// 2 Vertical Roads (Left, Right)
-// They use roadWidthV for their width
-const roadVLeft = new THREE.Mesh(new THREE.BoxGeometry(roadWidthV, 0.5, roadLength), roadMaterial);
-roadVLeft.position.set(-gridSpacing, -0.24, 0);
-scene.add(roadVLeft);
-
-const roadVRight = new THREE.Mesh(new THREE.BoxGeometry(roadWidthV, 0.5, roadLength), roadMaterial);
-roadVRight.position.set(gridSpacing, -0.24, 0);
-scene.add(roadVRight);
-
-// Intersection Squares
-const intersectionCenters = [
-    { x: -gridSpacing, z: -gridSpacing }, // Top-Left
-    { x: gridSpacing, z: -gridSpacing },  // Top-Right
-    { x: -gridSpacing, z: gridSpacing },  // Bottom-Left
-    { x: gridSpacing, z: gridSpacing }    // Bottom-Right
-];
-
-intersectionCenters.forEach(center => {
-    // Intersections are now rectangles: roadWidthV wide, roadWidthH deep
-    const mesh = new THREE.Mesh(new THREE.BoxGeometry(roadWidthV, 0.5, roadWidthH), new THREE.MeshStandardMaterial({ color: 0x555555 }));
-    mesh.position.set(center.x, -0.23, center.z);
-    scene.add(mesh);
-});
+function own(resource) {
+    worldResources.push(resource);
+    return resource;
+}
 
-// --- GROUND PLANES (for click raycasting) ---
-const groundPlanes = [];
-[roadHTop, roadHBot, roadVLeft, roadVRight].forEach(r => groundPlanes.push(r));
-intersectionCenters.forEach((center, idx) => {
-    // intersection meshes were already added; reference by re-creating a ground quad
-});
-// Add a large invisible ground plane for raycasting
+const roadMaterial = new THREE.MeshStandardMaterial({ color: 0x444444 });
+const intersectionMaterial = new THREE.MeshStandardMaterial({ color: 0x555555 });
+const crosswalkStripeGeom = new THREE.BoxGeometry(1, 0.05, 1); // Scaled per stripe
+const crosswalkStripeMaterial = new THREE.MeshStandardMaterial({ color: 0xdddddd });
+const CROSSWALK_STRIPE = 1; // Stripe width, and the gap between stripes
+const worldGroup = new THREE.Group();
+scene.add(worldGroup);
+
+// --- GROUND PLANE (for click raycasting) ---
+// A large invisible plane, sized to the map in buildWorld()
 const groundPlane = new THREE.Mesh(
-    new THREE.PlaneGeometry(300, 300),
+    new THREE.PlaneGeometry(1, 1),
     new THREE.MeshBasicMaterial({ visible: false })
 );
 groundPlane.rotation.x = -Math.PI / 2;
-groundPlane.position.y = 0;
 scene.add(groundPlane);
 
-// --- PLAYER CHARACTER ---
-function createPlayerCharacter() {
-    const playerGroup = new THREE.Group();
+function buildWorld() {
+    // Drop the previous map
+    worldResources.forEach(resource => resource.dispose());
+    worldResources.length = 0;
+    worldGroup.clear();
+    directionTiles.length = 0;
+    selectCursorTile(null);
+    tileHitboxes.length = 0;
+    signalPosts.length = 0;
+    signalHitboxes.length = 0;
+
+    map.roads.forEach(road => {
+        // Horizontal roads ('x') run along X and use their width for depth,
+        // vertical roads ('z') run along Z and use their width for width.
+        // Vertical roads sit slightly higher to avoid z-fighting where they cross.
+        const mesh = road.axis === 'x'
+            ? new THREE.Mesh(own(new THREE.BoxGeometry(road.length, 0.5, road.width)), roadMaterial)
+            : new THREE.Mesh(own(new THREE.BoxGeometry(road.width, 0.5, road.length)), roadMaterial);
+        if (road.axis === 'x') {
+            mesh.position.set(road.center, -0.25, road.at);
+        } else {
+            mesh.position.set(road.at, -0.24, road.center);
+        }
+        worldGroup.add(mesh);
+    });
+
+    // Intersection Squares
+    map.intersections.forEach(center => {
+        // Intersections are rectangles: vertical road width wide, horizontal road width deep
+        const mesh = new THREE.Mesh(own(new THREE.BoxGeometry(center.widthX, 0.5, center.widthZ)), intersectionMaterial);
+        mesh.position.set(center.x, -0.23, center.z);
+        worldGroup.add(mesh);
+    });
+
+    buildCrosswalks();
+
+    // Create tile slots for every approach the map gives a tile
+    // (same order as the simulation's tile list)
+    map.intersections.forEach(center => {
+        center.tiles.forEach(tile => {
+            createTileSlot(center, tile.approach, tile.direction);
+        });
+    });
+
+    // One traffic signal per intersection (same order as the simulation's signals)
+    map.intersections.forEach(center => {
+        createSignalPost(center);
+    });
+
+    const bounds = map.bounds;
+    const centerX = (bounds.minX + bounds.maxX) / 2;
+    const centerZ = (bounds.minZ + bounds.maxZ) / 2;
+    // Expanded to show the whole area including spawn points
+    const viewSize = Math.max(bounds.maxX - bounds.minX, bounds.maxZ - bounds.minZ) + 20;
+
+    groundPlane.geometry.dispose();
+    groundPlane.geometry = new THREE.PlaneGeometry(viewSize * 2, viewSize * 2);
+    groundPlane.position.set(centerX, 0, centerZ);
+
+    cameraController.reset(bounds);
+    updateCameraButtons();
+
+    minimapCamera.left = -viewSize * aspectRatio / 2;
+    minimapCamera.right = viewSize * aspectRatio / 2;
+    minimapCamera.top = viewSize / 2;
+    minimapCamera.bottom = -viewSize / 2;
+    minimapCamera.updateProjectionMatrix();
+    minimapCamera.position.set(centerX, 50, centerZ);
+    minimapCamera.lookAt(centerX, 0, centerZ);
+}
+
+// Zebra stripes across every crosswalk, all in one InstancedMesh. Stripes
+// run with the traffic and are spaced out along the way pedestrians walk.
+function buildCrosswalks() {
+    const stripes = [];
+    map.crosswalks.forEach(crosswalk => {
+        const count = Math.floor(crosswalk.halfSpan * 2 / (CROSSWALK_STRIPE * 2));
+        const first = -(count - 1) * CROSSWALK_STRIPE;
+        for (let i = 0; i < count; i++) {
+            const offset = first + i * CROSSWALK_STRIPE * 2;
+            stripes.push(crosswalk.crossAxis === 'x'
+                ? { x: crosswalk.x + offset, z: crosswalk.z, sizeX: CROSSWALK_STRIPE, sizeZ: CROSSWALK_DEPTH - 0.5 }
+                : { x: crosswalk.x, z: crosswalk.z + offset, sizeX: CROSSWALK_DEPTH - 0.5, sizeZ: CROSSWALK_STRIPE });
+        }
+    });
+    if (stripes.length === 0) return;
+
+    const mesh = own(new THREE.InstancedMesh(crosswalkStripeGeom, crosswalkStripeMaterial, stripes.length));
+    const matrix = new THREE.Matrix4();
+    stripes.forEach((stripe, i) => {
+        matrix.makeScale(stripe.sizeX, 1, stripe.sizeZ);
+        matrix.setPosition(stripe.x, 0.03, stripe.z);
+        mesh.setMatrixAt(i, matrix);
+    });
+    worldGroup.add(mesh);
+}
+
+// --- PEOPLE ---
+// The player and the pedestrians are the same figure in different clothes.
+// Children 0-5 are body, head, left and right leg, left and right arm;
+// animateWalk() swings the limbs.
+const personBodyGeom = new THREE.BoxGeometry(1.2, 2, 0.8);
+const personHeadGeom = new THREE.SphereGeometry(0.5, 8, 8);
+const personLegGeom = new THREE.BoxGeometry(0.4, 1.2, 0.4);
+const personArmGeom = new THREE.BoxGeometry(0.3, 1.4, 0.3);
+const skinMaterial = new THREE.MeshStandardMaterial({ color: 0xffcc88 });
+
+function createPerson(shirtMat, legMat) {
+    const personGroup = new THREE.Group();
 
     // Body
-    const bodyGeom = new THREE.BoxGeometry(1.2, 2, 0.8);
-    const bodyMat = new THREE.MeshStandardMaterial({ color: 0xff8800 });
-    const body = new THREE.Mesh(bodyGeom, bodyMat);
+    const body = new THREE.Mesh(personBodyGeom, shirtMat);
     body.position.y = 2.5;
-    playerGroup.add(body);
+    personGroup.add(body);
 
     // Head
-    const headGeom = new THREE.SphereGeometry(0.5, 8, 8);
-    const headMat = new THREE.MeshStandardMaterial({ color: 0xffcc88 });
-    const head = new THREE.Mesh(headGeom, headMat);
+    const head = new THREE.Mesh(personHeadGeom, skinMaterial);
     head.position.y = 4;
-    playerGroup.add(head);
+    personGroup.add(head);
 
-    // Left Leg
-    const legGeom = new THREE.BoxGeometry(0.4, 1.2, 0.4);
-    const legMat = new THREE.MeshStandardMaterial({ color: 0x3355aa });
-    const leftLeg = new THREE.Mesh(legGeom, legMat);
+    // Legs
+    const leftLeg = new THREE.Mesh(personLegGeom, legMat);
     leftLeg.position.set(-0.3, 1, 0);
-    playerGroup.add(leftLeg);
-
-    // Right Leg
-    const rightLeg = new THREE.Mesh(legGeom, legMat.clone());
+    personGroup.add(leftLeg);
+    const rightLeg = new THREE.Mesh(personLegGeom, legMat);
     rightLeg.position.set(0.3, 1, 0);
-    playerGroup.add(rightLeg);
+    personGroup.add(rightLeg);
 
-    // Left Arm
-    const armGeom = new THREE.BoxGeometry(0.3, 1.4, 0.3);
-    const armMat = new THREE.MeshStandardMaterial({ color: 0xff8800 });
-    const leftArm = new THREE.Mesh(armGeom, armMat);
+    // Arms
+    const leftArm = new THREE.Mesh(personArmGeom, shirtMat);
     leftArm.position.set(-0.75, 2.6, 0);
-    playerGroup.add(leftArm);
-
-    // Right Arm
-    const rightArm = new THREE.Mesh(armGeom, armMat.clone());
+    personGroup.add(leftArm);
+    const rightArm = new THREE.Mesh(personArmGeom, shirtMat);
     rightArm.position.set(0.75, 2.6, 0);
-    playerGroup.add(rightArm);
+    personGroup.add(rightArm);
+
+    return personGroup;
+}
+
+// Simple walk animation: legs and arms swing in opposition with `time`;
+// standing still puts them back
+function animateWalk(person, walking, time) {
+    const swing = walking ? Math.sin(time) : 0;
+    person.children[2].rotation.x = swing * 0.5;
+    person.children[3].rotation.x = -swing * 0.5;
+    person.children[4].rotation.x = -swing * 0.4;
+    person.children[5].rotation.x = swing * 0.4;
+}
+
+// --- PLAYER CHARACTER ---
+function createPlayerCharacter() {
+    const playerGroup = createPerson(
+        new THREE.MeshStandardMaterial({ color: 0xff8800 }),
+        new THREE.MeshStandardMaterial({ color: 0x3355aa })
+    );
 
     // Minimap blip (large, bright, on layer 1)
     const blipGeom = new THREE.BoxGeometry(6, 1, 6);
@@ -162,7 +355,7 @@ function createPlayerCharacter() {
     blipMesh.layers.set(1);
     playerGroup.add(blipMesh);
 
-    playerGroup.position.set(0, 0, 0); // Start at center
+    // Placed on the map's start point by syncPlayerMesh() once a round starts
     scene.add(playerGroup);
 
     return playerGroup;
@@ -179,7 +372,17 @@ targetIndicator.position.y = 0.1;
 targetIndicator.visible = false;
 scene.add(targetIndicator);
 
+// Bubble around the player while a shield pickup is active
+const shieldBubble = new THREE.Mesh(
+    new THREE.SphereGeometry(3, 16, 12),
+    new THREE.MeshBasicMaterial({ color: 0x44aaff, transparent: true, opacity: 0.25, depthWrite: false })
+);
+shieldBubble.position.y = 2.5;
+shieldBubble.visible = false;
+player.add(shieldBubble);
+
 // --- DIRECTION TILES ---
+// Visuals for the simulation's tiles: directionTiles[i] shows sim.state.tiles[i].
 // Each tile slot represents an approach to an intersection from a specific direction.
 // Directions: 'fromNorth' (moving +Z, approaching from north), 'fromSouth' (moving -Z),
 //             'fromWest' (moving +X), 'fromEast' (moving -X)
@@ -190,25 +393,67 @@ const tileHitboxes = [];
 const TILE_COLORS = {
     straight: 0x0088ff, // Blue
     right: 0x00cc66,    // Green
-    left: 0xffaa00      // Yellow/Orange
+    left: 0xffaa00,     // Yellow/Orange
+    uturn: 0xaa44ff,    // Purple
+    stop: 0xff2222,     // Red
+    boost: 0x00ffff,    // Cyan
+    random: 0xff66cc    // Pink
+};
+
+// Glyph geometries and materials are shared by every tile. A tile builds the
+// glyph for a kind the first time it shows it and afterwards only toggles
+// which of its glyphs is visible, so cycling a tile allocates nothing.
+const GLYPH_GEOMETRIES = {
+    shaft: new THREE.BoxGeometry(0.8, 0.3, 2.5),
+    arrowHead: new THREE.ConeGeometry(1.2, 1.5, 3),
+    uturnRight: new THREE.BoxGeometry(0.6, 0.3, 2),
+    uturnAcross: new THREE.BoxGeometry(2.2, 0.3, 0.6),
+    uturnLeft: new THREE.BoxGeometry(0.6, 0.3, 1.4),
+    uturnHead: new THREE.ConeGeometry(0.9, 1.2, 3),
+    stopSign: new THREE.CylinderGeometry(1.5, 1.5, 0.3, 8),
+    chevron: new THREE.ConeGeometry(1.2, 1.2, 3),
+    die: new THREE.BoxGeometry(1.6, 1.6, 1.6)
 };
 
+const tileBaseGeom = new THREE.BoxGeometry(5, 0.4, 5);
+const tileHitboxGeom = new THREE.BoxGeometry(6, 6, 6);
+const hitboxMat = new THREE.MeshBasicMaterial({ visible: false });
+
+// One glyph and one base material per tile kind
+const glyphMaterials = {};
+const tileBaseMaterials = {};
+const tileIconMaterials = {};
+Object.entries(TILE_COLORS).forEach(([kind, color]) => {
+    glyphMaterials[kind] = new THREE.MeshStandardMaterial({ color: color, emissive: color, emissiveIntensity: 0.3 });
+    tileBaseMaterials[kind] = new THREE.MeshStandardMaterial({ color: color, transparent: true, opacity: 0.6 });
+    tileIconMaterials[kind] = new THREE.MeshBasicMaterial({ color: color });
+});
+
+// Minimap icons (layer 1): a triangle pointing where cars will go for the
+// steering kinds, a square for the others
+const TILE_ICON_ARROW_GEOM = new THREE.CircleGeometry(4, 3).rotateX(-Math.PI / 2).rotateY(-Math.PI / 2); // Tip at +Z
+const TILE_ICON_SQUARE_GEOM = new THREE.PlaneGeometry(5, 5).rotateX(-Math.PI / 2);
+const TILE_ICON_TURNS = { straight: 0, right: -Math.PI / 2, left: Math.PI / 2, uturn: Math.PI };
+
 // Create arrow shape for visual indicator
 function createArrowMesh(direction) {
+    const glyphMat = glyphMaterials[direction];
+    switch (direction) {
+        case 'uturn': return createUTurnGlyph(glyphMat);
+        case 'stop': return createStopGlyph(glyphMat);
+        case 'boost': return createBoostGlyph(glyphMat);
+        case 'random': return createRandomGlyph(glyphMat);
+    }
+
     const group = new THREE.Group();
 
     // Arrow shaft
-    const shaftGeom = new THREE.BoxGeometry(0.8, 0.3, 2.5);
-    const color = TILE_COLORS[direction];
-    const shaftMat = new THREE.MeshStandardMaterial({ color: color, emissive: color, emissiveIntensity: 0.3 });
-    const shaft = new THREE.Mesh(shaftGeom, shaftMat);
+    const shaft = new THREE.Mesh(GLYPH_GEOMETRIES.shaft, glyphMat);
     shaft.position.set(0, 0, -0.3);
     group.add(shaft);
 
     // Arrow head (triangle using a cone)
-    const headGeom = new THREE.ConeGeometry(1.2, 1.5, 3);
-    const headMat = new THREE.MeshStandardMaterial({ color: color, emissive: color, emissiveIntensity: 0.3 });
-    const head = new THREE.Mesh(headGeom, headMat);
+    const head = new THREE.Mesh(GLYPH_GEOMETRIES.arrowHead, glyphMat);
     head.rotation.x = -Math.PI / 2; // Point forward (+Z)
     head.position.set(0, 0, 1.5);
     group.add(head);
@@ -216,96 +461,151 @@ function createArrowMesh(direction) {
     return group;
 }
 
+// U-turn: up the right side, across, and back down the left with the head
+// pointing back the way the car came (+Z is forward, +X is the car's left)
+function createUTurnGlyph(mat) {
+    const group = new THREE.Group();
+
+    const right = new THREE.Mesh(GLYPH_GEOMETRIES.uturnRight, mat);
+    right.position.set(-0.8, 0, 0.2);
+    group.add(right);
+
+    const across = new THREE.Mesh(GLYPH_GEOMETRIES.uturnAcross, mat);
+    across.position.set(0, 0, 1.2);
+    group.add(across);
+
+    const left = new THREE.Mesh(GLYPH_GEOMETRIES.uturnLeft, mat);
+    left.position.set(0.8, 0, 0.5);
+    group.add(left);
+
+    const head = new THREE.Mesh(GLYPH_GEOMETRIES.uturnHead, mat);
+    head.rotation.x = Math.PI / 2; // Point backward (-Z)
+    head.position.set(0.8, 0, -0.6);
+    group.add(head);
+
+    return group;
+}
+
+// Stop: a flat octagon
+function createStopGlyph(mat) {
+    const group = new THREE.Group();
+    const sign = new THREE.Mesh(GLYPH_GEOMETRIES.stopSign, mat);
+    sign.rotation.y = Math.PI / 8; // Flat side forward
+    group.add(sign);
+    return group;
+}
+
+// Boost: two chevrons pointing forward
+function createBoostGlyph(mat) {
+    const group = new THREE.Group();
+    [-0.7, 0.8].forEach(z => {
+        const chevron = new THREE.Mesh(GLYPH_GEOMETRIES.chevron, mat);
+        chevron.rotation.x = -Math.PI / 2; // Point forward (+Z)
+        chevron.position.set(0, 0, z);
+        group.add(chevron);
+    });
+    return group;
+}
+
+// Random: a die standing on its corner
+function createRandomGlyph(mat) {
+    const group = new THREE.Group();
+    const die = new THREE.Mesh(GLYPH_GEOMETRIES.die, mat);
+    die.rotation.set(Math.PI / 4, 0, Math.PI / 4);
+    die.position.y = 0.6;
+    group.add(die);
+    return group;
+}
+
 // approachDir: which direction the car is coming FROM (determines rotation of visual)
 // 'fromNorth' = car moving +Z (downward on screen)
 // 'fromSouth' = car moving -Z (upward on screen)
 // 'fromWest'  = car moving +X (rightward)
 // 'fromEast'  = car moving -X (leftward)
-function createTileSlot(intersectionX, intersectionZ, approachDir) {
+function createTileSlot(intersection, approachDir, initialDirection) {
     const group = new THREE.Group();
+    const intersectionX = intersection.x;
+    const intersectionZ = intersection.z;
 
     // Position the tile before the intersection on the approach road,
     // offset to the correct lane where vehicles actually drive.
     let tileX = intersectionX;
     let tileZ = intersectionZ;
-    const tileOffset = 15; // Distance from intersection center along approach axis
+    const tileOffset = map.tileOffset; // Distance from intersection center along approach axis
 
     switch (approachDir) {
-        case 'fromNorth': // Car comes from top, moving +Z (right lane = +roadWidthV/4)
+        case 'fromNorth': // Car comes from top, moving +Z (its lane = +widthX/4)
             tileZ = intersectionZ - tileOffset;
-            tileX = intersectionX + roadWidthV / 4;
+            tileX = intersectionX + laneOffset('z', 1, intersection.widthX);
             break;
-        case 'fromSouth': // Car comes from bottom, moving -Z (right lane = -roadWidthV/4)
+        case 'fromSouth': // Car comes from bottom, moving -Z (its lane = -widthX/4)
             tileZ = intersectionZ + tileOffset;
-            tileX = intersectionX - roadWidthV / 4;
+            tileX = intersectionX + laneOffset('z', -1, intersection.widthX);
             break;
-        case 'fromWest': // Car comes from left, moving +X (right lane = -roadWidthH/4)
+        case 'fromWest': // Car comes from left, moving +X (its lane = -widthZ/4)
             tileX = intersectionX - tileOffset;
-            tileZ = intersectionZ - roadWidthH / 4;
+            tileZ = intersectionZ + laneOffset('x', 1, intersection.widthZ);
             break;
-        case 'fromEast': // Car comes from right, moving -X (right lane = +roadWidthH/4)
+        case 'fromEast': // Car comes from right, moving -X (its lane = +widthZ/4)
             tileX = intersectionX + tileOffset;
-            tileZ = intersectionZ + roadWidthH / 4;
+            tileZ = intersectionZ + laneOffset('x', -1, intersection.widthZ);
             break;
     }
 
     group.position.set(tileX, 0.3, tileZ);
 
     // Base platform
-    const baseGeom = new THREE.BoxGeometry(5, 0.4, 5);
-    const baseMat = new THREE.MeshStandardMaterial({
-        color: TILE_COLORS.straight,
-        transparent: true,
-        opacity: 0.6
-    });
-    const baseMesh = new THREE.Mesh(baseGeom, baseMat);
+    const baseMesh = new THREE.Mesh(tileBaseGeom, tileBaseMaterials.straight);
     group.add(baseMesh);
 
-    // Arrow visual
-    const arrowGroup = createArrowMesh('straight');
-    arrowGroup.position.y = 0.4;
-
-    // Rotate arrow to match approach direction
-    // Arrow points in the "forward" direction for 'straight' 
+    // Rotate glyphs to match approach direction
+    // Arrows point in the "forward" direction for 'straight'
+    let baseApproachRotation = 0;
     switch (approachDir) {
         case 'fromNorth': // moving +Z
-            arrowGroup.rotation.y = 0;
+            baseApproachRotation = 0;
             break;
         case 'fromSouth': // moving -Z
-            arrowGroup.rotation.y = Math.PI;
+            baseApproachRotation = Math.PI;
             break;
         case 'fromWest': // moving +X
-            arrowGroup.rotation.y = Math.PI / 2;
+            baseApproachRotation = Math.PI / 2;
             break;
         case 'fromEast': // moving -X
-            arrowGroup.rotation.y = -Math.PI / 2;
+            baseApproachRotation = -Math.PI / 2;
             break;
     }
 
-    group.add(arrowGroup);
+    // Minimap icon, above the roads but below the vehicle blips
+    const iconMesh = new THREE.Mesh(TILE_ICON_SQUARE_GEOM, tileIconMaterials.straight);
+    iconMesh.position.y = 8;
+    iconMesh.layers.set(1);
+    group.add(iconMesh);
 
     // Hitbox (invisible, larger for easy clicking)
-    const hitboxGeom = new THREE.BoxGeometry(6, 6, 6);
-    const hitboxMat = new THREE.MeshBasicMaterial({ visible: false });
-    const hitboxMesh = new THREE.Mesh(hitboxGeom, hitboxMat);
+    const hitboxMesh = new THREE.Mesh(tileHitboxGeom, hitboxMat);
     hitboxMesh.userData = { isTileHitbox: true, parentTile: group };
     group.add(hitboxMesh);
     tileHitboxes.push(hitboxMesh);
 
     // Store tile data
     group.userData = {
-        direction: 'straight', // 'straight', 'right', 'left'
+        index: directionTiles.length, // Index of the simulation tile this slot shows
+        direction: null, // Set by setTileDirection below
         approachDir: approachDir,
         intersectionX: intersectionX,
         intersectionZ: intersectionZ,
-        baseMat: baseMat,
-        arrowGroup: arrowGroup,
-        baseApproachRotation: arrowGroup.rotation.y // Store base rotation for approach direction
+        baseMesh: baseMesh,
+        iconMesh: iconMesh,
+        glyphs: {}, // tile kind -> glyph group, built on first use
+        baseApproachRotation: baseApproachRotation // Store base rotation for approach direction
     };
 
-    scene.add(group);
+    worldGroup.add(group);
     directionTiles.push(group);
 
+    setTileDirection(group, initialDirection);
+
     return group;
 }
 
@@ -319,42 +619,147 @@ function getArrowRotationOffset(tileDirection) {
     return 0;
 }
 
-// Cycle tile direction and update visuals
-function cycleTileDirection(tileGroup) {
+// Show a new tile direction
+function setTileDirection(tileGroup, direction) {
     const data = tileGroup.userData;
-    const cycle = ['straight', 'right', 'left'];
-    const currentIdx = cycle.indexOf(data.direction);
-    data.direction = cycle[(currentIdx + 1) % cycle.length];
-
-    // Update base color
-    data.baseMat.color.setHex(TILE_COLORS[data.direction]);
-
-    // Update arrow: rebuild it with new color and rotation
-    tileGroup.remove(data.arrowGroup);
-    const newArrow = createArrowMesh(data.direction);
-    newArrow.position.y = 0.4;
-    newArrow.rotation.y = data.baseApproachRotation + getArrowRotationOffset(data.direction);
-    tileGroup.add(newArrow);
-    data.arrowGroup = newArrow;
-}
-
-// Create all tile slots for all 4 intersections × 4 approach directions
-const approachDirs = ['fromNorth', 'fromSouth', 'fromWest', 'fromEast'];
-intersectionCenters.forEach(center => {
-    approachDirs.forEach(dir => {
-        createTileSlot(center.x, center.z, dir);
+    if (data.direction) data.glyphs[data.direction].visible = false;
+    data.direction = direction;
+
+    data.baseMesh.material = tileBaseMaterials[direction];
+
+    const turn = TILE_ICON_TURNS[direction];
+    data.iconMesh.material = tileIconMaterials[direction];
+    data.iconMesh.geometry = turn === undefined ? TILE_ICON_SQUARE_GEOM : TILE_ICON_ARROW_GEOM;
+    data.iconMesh.rotation.y = data.baseApproachRotation + (turn || 0);
+
+    let glyph = data.glyphs[direction];
+    if (!glyph) {
+        glyph = createArrowMesh(direction);
+        glyph.position.y = 0.4;
+        glyph.rotation.y = data.baseApproachRotation + getArrowRotationOffset(direction);
+        tileGroup.add(glyph);
+        data.glyphs[direction] = glyph;
+    }
+    glyph.visible = true;
+}
+
+// --- TRAFFIC SIGNALS ---
+// Visuals for the simulation's signals: signalPosts[i] shows sim.state.signals[i].
+// A post on the intersection's north-east corner is what the player clicks; its
+// two lamps read as "—" (east-west) and "|" (north-south) from above. Every
+// approach also gets a stop line that lights up red or green while the signal is on.
+const signalPosts = [];
+const signalHitboxes = [];
+
+const SIGNAL_COLORS = {
+    red: 0xff2222,
+    green: 0x22ff44,
+    off: 0x333333
+};
+
+const signalPoleMat = new THREE.MeshStandardMaterial({ color: 0x222222 });
+const signalPoleGeom = new THREE.CylinderGeometry(0.3, 0.3, 5);
+const signalHeadGeom = new THREE.BoxGeometry(3, 0.6, 3);
+const signalLampGeoms = { x: new THREE.BoxGeometry(2.4, 0.3, 0.6), z: new THREE.BoxGeometry(0.6, 0.3, 2.4) };
+const signalHitboxGeom = new THREE.BoxGeometry(5, 7, 5);
+
+function lampColor(phase, axis) {
+    if (phase === 'off') return SIGNAL_COLORS.off;
+    return isSignalRed(phase, axis) ? SIGNAL_COLORS.red : SIGNAL_COLORS.green;
+}
+
+function createSignalPost(intersection) {
+    const group = new THREE.Group();
+    group.position.set(
+        intersection.x + intersection.widthX / 2 + 2,
+        0,
+        intersection.z - intersection.widthZ / 2 - 2
+    );
+
+    const pole = new THREE.Mesh(signalPoleGeom, signalPoleMat);
+    pole.position.y = 2.5;
+    group.add(pole);
+
+    const head = new THREE.Mesh(signalHeadGeom, signalPoleMat);
+    head.position.y = 5;
+    group.add(head);
+
+    // Lamps: 'x' is the east-west lamp, 'z' the north-south one. Each lamp
+    // changes color on its own, so its material belongs to this post.
+    const lamps = {};
+    ['x', 'z'].forEach(axis => {
+        const mat = own(new THREE.MeshStandardMaterial({ color: SIGNAL_COLORS.off, emissive: SIGNAL_COLORS.off }));
+        const lamp = new THREE.Mesh(signalLampGeoms[axis], mat);
+        lamp.position.y = 5.4;
+        group.add(lamp);
+        lamps[axis] = lamp;
     });
-});
+
+    // Stop lines across the lane of every approach, at the junction's edge
+    const stopLines = intersection.approaches.map(approachDir => {
+        const axis = approachDir === 'fromNorth' || approachDir === 'fromSouth' ? 'z' : 'x';
+        const dir = approachDir === 'fromNorth' || approachDir === 'fromWest' ? 1 : -1;
+        const roadWidth = axis === 'z' ? intersection.widthX : intersection.widthZ;
+        const halfJunction = axis === 'z' ? intersection.widthZ / 2 : intersection.widthX / 2;
+        const laneWidth = roadWidth / 2 - 1;
+
+        const geom = own(axis === 'z'
+            ? new THREE.BoxGeometry(laneWidth, 0.1, 0.6)
+            : new THREE.BoxGeometry(0.6, 0.1, laneWidth));
+        const mat = own(new THREE.MeshBasicMaterial({ color: SIGNAL_COLORS.off, visible: false }));
+        const line = new THREE.Mesh(geom, mat);
+        if (axis === 'z') {
+            line.position.set(intersection.x + laneOffset('z', dir, roadWidth), 0.05, intersection.z - dir * (halfJunction + 0.3));
+        } else {
+            line.position.set(intersection.x - dir * (halfJunction + 0.3), 0.05, intersection.z + laneOffset('x', dir, roadWidth));
+        }
+        line.userData = { axis: axis };
+        worldGroup.add(line);
+        return line;
+    });
+
+    // Hitbox (invisible, larger for easy clicking)
+    const hitboxMesh = new THREE.Mesh(signalHitboxGeom, hitboxMat);
+    hitboxMesh.position.y = 3.5;
+    hitboxMesh.userData = { isSignalHitbox: true, parentPost: group };
+    group.add(hitboxMesh);
+    signalHitboxes.push(hitboxMesh);
+
+    group.userData = {
+        index: signalPosts.length, // Index of the simulation signal this post shows
+        lamps: lamps,
+        stopLines: stopLines
+    };
+
+    worldGroup.add(group);
+    signalPosts.push(group);
+
+    setSignalPhase(group, 'off');
+    return group;
+}
+
+// Show a new signal phase on the post's lamps and stop lines
+function setSignalPhase(post, phase) {
+    const data = post.userData;
+    Object.entries(data.lamps).forEach(([axis, lamp]) => {
+        const color = lampColor(phase, axis);
+        lamp.material.color.setHex(color);
+        lamp.material.emissive.setHex(color);
+    });
+    data.stopLines.forEach(line => {
+        line.material.visible = phase !== 'off';
+        line.material.color.setHex(lampColor(phase, line.userData.axis));
+    });
+}
 
 // --- INTERACTION (Raycaster) ---
 const raycaster = new THREE.Raycaster();
 const mouse = new THREE.Vector2();
 
-window.addEventListener('pointerdown', (event) => {
-    if (gameState !== 'playing') return;
-
-    mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-    mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+// A tap (or click) that didn't turn into a drag or pinch
+function handleTap(clientX, clientY) {
+    mouse.x = (clientX / window.innerWidth) * 2 - 1;
+    mouse.y = -(clientY / window.innerHeight) * 2 + 1;
 
     raycaster.setFromCamera(mouse, mainCamera);
 
@@ -362,752 +767,1475 @@ window.addEventListener('pointerdown', (event) => {
     const tileIntersects = raycaster.intersectObjects(tileHitboxes);
     if (tileIntersects.length > 0) {
         const tileGroup = tileIntersects[0].object.userData.parentTile;
-        cycleTileDirection(tileGroup);
+        pendingActions.push({ type: 'cycleTile', tile: directionTiles.indexOf(tileGroup) });
         return; // Don't move player when clicking a tile
     }
 
-    // Priority 2: Click-to-move on ground
+    // Priority 2: Traffic signal posts
+    const signalIntersects = raycaster.intersectObjects(signalHitboxes);
+    if (signalIntersects.length > 0) {
+        const post = signalIntersects[0].object.userData.parentPost;
+        pendingActions.push({ type: 'cycleSignal', signal: signalPosts.indexOf(post) });
+        return;
+    }
+
+    // Priority 3: Click-to-move on ground
     const groundIntersects = raycaster.intersectObject(groundPlane);
     if (groundIntersects.length > 0) {
         const point = groundIntersects[0].point;
-        playerTarget = { x: point.x, z: point.z };
-
-        // Show target indicator
-        targetIndicator.position.set(point.x, 0.1, point.z);
-        targetIndicator.visible = true;
+        pendingActions.push({ type: 'move', x: point.x, z: point.z });
     }
-});
+}
 
-// --- BARRICADE PLACEMENT (E key) ---
-window.addEventListener('keydown', (event) => {
-    if (gameState !== 'playing') return;
+// --- POINTER & TOUCH GESTURES ---
+// Only presses on the canvas reach the world; the HUD, minimap and panels
+// sit on top of it and keep their own taps. A press that stays within
+// TAP_SLOP pixels is a tap; moving further pans the camera, and a second
+// finger turns the gesture into a pinch (zoom plus pan).
+const TAP_SLOP = 10;
+const WHEEL_ZOOM_SPEED = 0.0015;
+const canvas = renderer.domElement;
+const activePointers = new Map(); // pointerId -> { x, y, startX, startY }
+let gestureMoved = false; // The current gesture panned or pinched, so it ends without a tap
+const groundMathPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+const panFrom = new THREE.Vector3();
+const panTo = new THREE.Vector3();
+
+// Where a screen point lands on the ground (y = 0); false if it misses
+function screenToGround(clientX, clientY, target) {
+    mouse.x = (clientX / window.innerWidth) * 2 - 1;
+    mouse.y = -(clientY / window.innerHeight) * 2 + 1;
+    raycaster.setFromCamera(mouse, mainCamera);
+    return raycaster.ray.intersectPlane(groundMathPlane, target) !== null;
+}
 
-    if (event.key === 'e' || event.key === 'E') {
-        placeBarricade();
-    }
+// Moves the camera so the ground under (x0, y0) ends up under (x1, y1)
+function panCamera(x0, y0, x1, y1) {
+    if (!screenToGround(x0, y0, panFrom) || !screenToGround(x1, y1, panTo)) return;
+    cameraController.panBy(panFrom.x - panTo.x, panFrom.z - panTo.z);
+    placeMainCamera(); // The next pan step raycasts from the moved camera
+    updateCameraButtons();
+}
+
+function pinchState() {
+    const [a, b] = activePointers.values();
+    return {
+        x: (a.x + b.x) / 2,
+        y: (a.y + b.y) / 2,
+        distance: Math.hypot(a.x - b.x, a.y - b.y)
+    };
+}
+
+canvas.addEventListener('pointerdown', (event) => {
+    if (event.button !== 0) return;
+    canvas.setPointerCapture(event.pointerId);
+    activePointers.set(event.pointerId, {
+        x: event.clientX,
+        y: event.clientY,
+        startX: event.clientX,
+        startY: event.clientY
+    });
+    if (activePointers.size === 1) gestureMoved = false;
+    else gestureMoved = true; // Second finger: a pinch, never a tap
 });
 
-function placeBarricade() {
-    // Check if we have slots remaining
-    if (barricades.length >= MAX_BARRICADES) {
-        // Remove oldest barricade
-        const oldest = barricades.shift();
-        scene.remove(oldest);
+canvas.addEventListener('pointermove', (event) => {
+    const pointer = activePointers.get(event.pointerId);
+    if (!pointer) return;
+
+    if (activePointers.size === 1) {
+        if (!gestureMoved &&
+            Math.hypot(event.clientX - pointer.startX, event.clientY - pointer.startY) < TAP_SLOP) return;
+        gestureMoved = true;
+        panCamera(pointer.x, pointer.y, event.clientX, event.clientY);
+    } else if (activePointers.size === 2) {
+        const before = pinchState();
+        pointer.x = event.clientX;
+        pointer.y = event.clientY;
+        const after = pinchState();
+        if (before.distance > 0) {
+            cameraController.zoomBy(after.distance / before.distance);
+        }
+        panCamera(before.x, before.y, after.x, after.y);
     }
+    pointer.x = event.clientX;
+    pointer.y = event.clientY;
+});
 
-    const barricadeGroup = new THREE.Group();
+canvas.addEventListener('pointerup', (event) => {
+    if (!activePointers.delete(event.pointerId)) return;
+    if (activePointers.size === 0 && !gestureMoved) {
+        if (sim.state.gameState === 'playing' && !playback && !paused) handleTap(event.clientX, event.clientY);
+    }
+});
 
-    // Main body - striped barrier look
-    const barGeom = new THREE.BoxGeometry(4, 1.5, 1);
-    const barMat = new THREE.MeshStandardMaterial({ color: 0xff3300 });
-    const bar = new THREE.Mesh(barGeom, barMat);
-    bar.position.y = 0.75;
-    barricadeGroup.add(bar);
+canvas.addEventListener('pointercancel', (event) => {
+    activePointers.delete(event.pointerId);
+    gestureMoved = true;
+});
 
-    // Warning stripe
-    const stripeGeom = new THREE.BoxGeometry(4.1, 0.4, 1.1);
-    const stripeMat = new THREE.MeshStandardMaterial({ color: 0xffcc00 });
-    const stripe = new THREE.Mesh(stripeGeom, stripeMat);
-    stripe.position.y = 0.75;
-    barricadeGroup.add(stripe);
+canvas.addEventListener('wheel', (event) => {
+    event.preventDefault();
+    cameraController.zoomBy(Math.exp(-event.deltaY * WHEEL_ZOOM_SPEED));
+}, { passive: false });
 
-    // Minimap blip for barricade
-    const blipGeom = new THREE.BoxGeometry(4, 1, 4);
-    const blipMat = new THREE.MeshBasicMaterial({ color: 0xff3300 });
-    const blipMesh = new THREE.Mesh(blipGeom, blipMat);
-    blipMesh.position.y = 10;
-    blipMesh.layers.set(1);
-    barricadeGroup.add(blipMesh);
+// Edge panning: a mouse resting near the edge of the canvas scrolls the view
+const EDGE_PAN_MARGIN = 16; // px
+const EDGE_PAN_SPEED = 72; // World units per second at zoom 1
+let edgePointer = null; // { x, y } while a mouse hovers the canvas
+const edgePanDirection = { x: 0, z: 0 };
 
-    barricadeGroup.position.set(player.position.x, 0, player.position.z);
-    barricadeGroup.userData = { isBarricade: true };
+canvas.addEventListener('pointermove', (event) => {
+    edgePointer = event.pointerType === 'mouse' ? { x: event.clientX, y: event.clientY } : null;
+});
 
-    scene.add(barricadeGroup);
-    barricades.push(barricadeGroup);
+canvas.addEventListener('pointerleave', () => {
+    edgePointer = null;
+});
 
-    // Update UI
-    updateBarricadeUI();
+// Once per frame: edge panning, then follow mode. `dt` is the frame time in
+// seconds, so the camera moves at the same pace at any frame rate.
+function updateCamera(dt) {
+    if (edgePointer && activePointers.size === 0) {
+        let screenX = 0;
+        let screenY = 0;
+        if (edgePointer.x < EDGE_PAN_MARGIN) screenX = -1;
+        if (edgePointer.x > window.innerWidth - EDGE_PAN_MARGIN) screenX = 1;
+        if (edgePointer.y < EDGE_PAN_MARGIN) screenY = -1;
+        if (edgePointer.y > window.innerHeight - EDGE_PAN_MARGIN) screenY = 1;
+        if (screenX !== 0 || screenY !== 0) {
+            const ground = cameraController.screenToWorld(screenX, screenY, edgePanDirection);
+            const step = EDGE_PAN_SPEED * dt / cameraController.view.zoom;
+            cameraController.panBy(ground.x * step, ground.z * step);
+            updateCameraButtons();
+        }
+    }
+    cameraController.update(sim.state.player.x, sim.state.player.z, dt);
 }
 
-function updateBarricadeUI() {
-    const el = document.getElementById('barricade-value');
-    if (el) el.innerText = MAX_BARRICADES - barricades.length;
-}
+// Camera buttons (also the only way to rotate or follow on touch screens)
+const followButtonEl = document.getElementById('camera-follow');
 
-function updateHPUI() {
-    const el = document.getElementById('hp-value');
-    if (el) el.innerText = '❤'.repeat(playerHP) + '♡'.repeat(MAX_HP - playerHP);
+function updateCameraButtons() {
+    followButtonEl.classList.toggle('active', cameraController.view.follow);
 }
 
-// --- Helper: Find the direction tile for a given intersection and approach ---
-function findTileForApproach(intersectionX, intersectionZ, approachDir) {
-    return directionTiles.find(t =>
-        t.userData.intersectionX === intersectionX &&
-        t.userData.intersectionZ === intersectionZ &&
-        t.userData.approachDir === approachDir
-    );
-}
+[['camera-rotate-left', 'rotateLeft'], ['camera-follow', 'toggleFollow'], ['camera-rotate-right', 'rotateRight']].forEach(([id, control]) => {
+    const button = document.getElementById(id);
+    button.addEventListener('click', () => {
+        button.blur(); // Space is a game key
+        triggerControl(control);
+    });
+});
 
-// --- Helper: Determine the approach direction from vehicle axis/dir ---
-function getApproachDir(axis, dir) {
-    if (axis === 'z' && dir === 1) return 'fromNorth';   // Moving +Z = coming from north
-    if (axis === 'z' && dir === -1) return 'fromSouth';  // Moving -Z = coming from south
-    if (axis === 'x' && dir === 1) return 'fromWest';    // Moving +X = coming from west
-    if (axis === 'x' && dir === -1) return 'fromEast';   // Moving -X = coming from east
-    return 'fromNorth';
-}
-
-// --- Helper: Convert tile direction to world turn for a given approach ---
-function resolveTileDirection(tileDirection, currentAxis, currentDir) {
-    if (tileDirection === 'straight') return { axis: currentAxis, dir: currentDir };
-
-    let newAxis, newDir;
-    
-    // In THREE.js with our camera: +Z is down (screen bottom), -Z is up (screen top)
-    // +X is right, -X is left.
-    // So if moving +Z (down), a RIGHT turn should go towards -X (driver's right)
-    // Wait, screen relative:
-    // When a car goes down the screen (+Z), its "right" is the screen's left (-X).
-    // Let's make "right" and "left" mean relative to the CAR's forward direction.
-    // If moving +Z (down), Right turn -> -X (left on screen). Left turn -> +X (right on screen).
-    // Let's check the arrow visuals: getArrowRotationOffset('right') is -Math.PI/2.
-    // Base rotation for moving +Z is 0. Arrow points +Z (0).
-    // -Math.PI/2 rotates it so it points towards -X (Left on screen). 
-    // Yes! Right is -X, Left is +X when moving +Z.
-    // So 'right' means clockwise turn in Y-axis! (which is negative rotation)
-    // Let's fix this for all 4 approaches to ensure Arrow matches Car.
-
-    if (currentAxis === 'z') {
-        newAxis = 'x';
-        if (tileDirection === 'right') {
-            // Moving +Z (down), turn Right -> go -X (left on screen)
-            // Moving -Z (up), turn Right -> go +X (right on screen)
-            newDir = currentDir === 1 ? -1 : 1;
-        } else { // left
-            // Moving +Z (down), turn Left -> go +X (right on screen)
-            // Moving -Z (up), turn Left -> go -X (left on screen)
-            newDir = currentDir === 1 ? 1 : -1;
-        }
-    } else {
-        newAxis = 'z';
-        if (tileDirection === 'right') {
-            // Moving +X (right), turn Right -> go +Z (down on screen)
-            // Moving -X (left), turn Right -> go -Z (up on screen)
-            newDir = currentDir === 1 ? 1 : -1;
-        } else { // left
-            // Moving +X (right), turn Left -> go -Z (up on screen)
-            // Moving -X (left), turn Left -> go +Z (down on screen)
-            newDir = currentDir === 1 ? -1 : 1;
-        }
-    }
-    return { axis: newAxis, dir: newDir };
+// --- MINIMAP ---
+// Clicking the minimap sends the player there. A frame on layer 1 outlines
+// the part of the ground the main camera sees.
+const minimapEl = document.getElementById('minimap');
+const minimapPoint = new THREE.Vector3();
+
+minimapEl.addEventListener('pointerdown', (event) => {
+    if (event.button !== 0 || sim.state.gameState !== 'playing' || playback || paused) return;
+    const rect = minimapEl.getBoundingClientRect();
+    mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    raycaster.setFromCamera(mouse, minimapCamera);
+    if (raycaster.ray.intersectPlane(groundMathPlane, minimapPoint) === null) return;
+    pendingActions.push({ type: 'move', x: minimapPoint.x, z: minimapPoint.z });
+});
+
+const VIEWPORT_FRAME_CORNERS = [[-1, 1], [1, 1], [1, -1], [-1, -1]]; // NDC, clockwise from top-left
+const viewportFrame = new THREE.LineLoop(
+    new THREE.BufferGeometry().setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array(12), 3)),
+    new THREE.LineBasicMaterial({ color: 0xffffff })
+);
+viewportFrame.frustumCulled = false;
+viewportFrame.layers.set(1);
+scene.add(viewportFrame);
+
+// Projects the main camera's screen corners onto the ground; a corner that
+// sees past the horizon keeps its last position.
+function updateViewportFrame() {
+    const positions = viewportFrame.geometry.attributes.position;
+    VIEWPORT_FRAME_CORNERS.forEach(([x, y], idx) => {
+        mouse.set(x, y);
+        raycaster.setFromCamera(mouse, mainCamera);
+        if (raycaster.ray.intersectPlane(groundMathPlane, minimapPoint) === null) return;
+        positions.setXYZ(idx, minimapPoint.x, 12, minimapPoint.z);
+    });
+    positions.needsUpdate = true;
 }
 
-// --- VEHICLES ---
-const vehicles = [];
-const spawnDist = 70; // Spawn distance (edge of the screen map)
-const speed = 0.2; // Vehicle speed
-
-
-// 8 Spawners: 2 ends for each of the 4 roads.
-// 'route' defines the axis ('x' or 'z'), fixed coord ('z' or 'x'), and direction (-1 or +1)
-// We use road widths to center the cars in the appropriate lanes.
-const spawners = [
-    // --- Vertical Roads (Movement along Z axis) ---
-    // Left vertical road
-    { pos: new THREE.Vector3(-gridSpacing + roadWidthV / 4, 0.5, -spawnDist), moveAxis: 'z', dir: 1 },  // From Top going Down
-    { pos: new THREE.Vector3(-gridSpacing - roadWidthV / 4, 0.5, spawnDist), moveAxis: 'z', dir: -1 }, // From Bot going Up
-    // Right vertical road
-    { pos: new THREE.Vector3(gridSpacing + roadWidthV / 4, 0.5, -spawnDist), moveAxis: 'z', dir: 1 },   // From Top going Down
-    { pos: new THREE.Vector3(gridSpacing - roadWidthV / 4, 0.5, spawnDist), moveAxis: 'z', dir: -1 },  // From Bot going Up
-
-    // --- Horizontal Roads (Movement along X axis) ---
-    // Top horizontal road
-    { pos: new THREE.Vector3(-spawnDist, 0.5, -gridSpacing - roadWidthH / 4), moveAxis: 'x', dir: 1 },  // From Left going Right
-    { pos: new THREE.Vector3(spawnDist, 0.5, -gridSpacing + roadWidthH / 4), moveAxis: 'x', dir: -1 }, // From Right going Left
-    // Bottom horizontal road
-    { pos: new THREE.Vector3(-spawnDist, 0.5, gridSpacing - roadWidthH / 4), moveAxis: 'x', dir: 1 },   // From Left going Right
-    { pos: new THREE.Vector3(spawnDist, 0.5, gridSpacing + roadWidthH / 4), moveAxis: 'x', dir: -1 }   // From Right going Left
-];
-
-function spawnVehicle() {
-    const spawner = spawners[Math.floor(Math.random() * spawners.length)];
-
-    const vehicleGroup = new THREE.Group();
-    vehicleGroup.position.copy(spawner.pos);
-
-    // Main mesh
-    const geom = new THREE.BoxGeometry(2, 1, 4);
-    const color = new THREE.Color().setHSL(Math.random(), 0.8, 0.5);
-    const mat = new THREE.MeshStandardMaterial({ color: color });
-    const mesh = new THREE.Mesh(geom, mat);
-    vehicleGroup.add(mesh);
-
-    // Standardize rotation so +Z is always forward for the vehicle mesh
-    // x axis moves left/right
-    if (spawner.moveAxis === 'x') {
-        if (spawner.dir === 1) { // Moving +X (Right)
-            vehicleGroup.rotation.y = Math.PI / 2;
-        } else { // Moving -X (Left)
-            vehicleGroup.rotation.y = -Math.PI / 2;
-        }
-    } else {
-        if (spawner.dir === 1) { // Moving +Z (Down on screen)
-            vehicleGroup.rotation.y = 0;
-        } else { // Moving -Z (Up on screen)
-            vehicleGroup.rotation.y = Math.PI;
-        }
+// On-screen barricade button for touch screens (shown by style.css)
+const barricadeButtonEl = document.getElementById('barricade-button');
+barricadeButtonEl.addEventListener('click', () => {
+    barricadeButtonEl.blur();
+    triggerControl('barricade');
+});
+// --- KEYBOARD & GAMEPAD ---
+// Direct control: movement keys and the left stick steer the player, the
+// other controls fire once per press. See src/input.js for the bindings.
+const STICK_DEADZONE = 0.25;
+let bindings = loadBindings();
+const heldKeys = new Set();
+let gamepadButtons = []; // Pressed state of each button at the last poll
+let lastSteer = { x: 0, z: 0 }; // Last steer action sent to the simulation
+const steerDirection = { x: 0, z: 0 };
+let rebinding = null; // { control, device: 'key' | 'button' } while the settings panel waits for input
+
+function activeGamepad() {
+    const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+    for (const pad of pads) {
+        if (pad && pad.connected) return pad;
     }
+    return null;
+}
 
-    // Blinkers (Indicators) at the front corners
-    const blinkerGeom = new THREE.BoxGeometry(0.5, 0.5, 0.5);
-    const blinkerMat = new THREE.MeshBasicMaterial({ color: 0xffaa00, visible: false }); // Start hidden
-
-    const leftBlinker = new THREE.Mesh(blinkerGeom, blinkerMat.clone());
-    // Position front-left relative to vehicle (front is +Z, left is +X)
-    leftBlinker.position.set(0.8, 0.2, 1.8);
-    vehicleGroup.add(leftBlinker);
+function isControlHeld(control, pad) {
+    const binding = bindings[control];
+    if (binding.keys.some(key => heldKeys.has(key))) return true;
+    return pad !== null && binding.button !== null && !!pad.buttons[binding.button] && pad.buttons[binding.button].pressed;
+}
 
-    const rightBlinker = new THREE.Mesh(blinkerGeom, blinkerMat.clone());
-    // Position front-right relative to vehicle (front is +Z, right is -X)
-    rightBlinker.position.set(-0.8, 0.2, 1.8);
-    vehicleGroup.add(rightBlinker);
+function triggerControl(control) {
+    // Camera, pause and mute work any time, also while watching a replay
+    switch (control) {
+        case 'rotateLeft':
+            cameraController.rotate(1);
+            return;
+        case 'rotateRight':
+            cameraController.rotate(-1);
+            return;
+        case 'toggleFollow':
+            cameraController.setFollow(!cameraController.view.follow);
+            updateCameraButtons();
+            return;
+        case 'pause':
+            togglePause();
+            return;
+        case 'toggleMute':
+            settings.muted = !settings.muted;
+            muteSettingEl.checked = settings.muted;
+            applySettings();
+            saveSettings(settings);
+            return;
+    }
 
-    // Minimap blip
-    const blipGeom = new THREE.BoxGeometry(4, 1, 4);
-    const blipMat = new THREE.MeshBasicMaterial({ color: color });
-    const blipMesh = new THREE.Mesh(blipGeom, blipMat);
-    blipMesh.position.y = 10;
-    blipMesh.layers.set(1); // Set to layer 1 so main camera hides it
-    // Reverse the parent rotation so minimap blip is always axis-aligned 
-    // (since vehicleGroup is now rotated)
-    blipMesh.rotation.y = -vehicleGroup.rotation.y;
-    vehicleGroup.add(blipMesh);
-
-    vehicleGroup.userData = {
-        axis: spawner.moveAxis,
-        dir: spawner.dir,
-        active: true,
-        leftBlinker: leftBlinker,
-        rightBlinker: rightBlinker,
-        // Dynamic pathing: track which intersections we've already passed through
-        passedIntersections: [], // [{x, z}] for intersections already handled
-        currentTurnAction: null, // null or {action, turnCenter, turnValue, newAxis, newDir}
-        isTurning: false
-    };
+    if (sim.state.gameState !== 'playing' || playback || paused) return;
 
-    scene.add(vehicleGroup);
-    vehicles.push(vehicleGroup);
+    switch (control) {
+        case 'barricade':
+            pendingActions.push({ type: 'barricade', kind: selectedBarricade });
+            break;
+        case 'nextBarricade':
+            selectBarricade(BARRICADE_KINDS[(BARRICADE_KINDS.indexOf(selectedBarricade) + 1) % BARRICADE_KINDS.length]);
+            break;
+        case 'selectBarrier': selectBarricade('barrier'); break;
+        case 'selectCones': selectBarricade('cones'); break;
+        case 'selectConcrete': selectBarricade('concrete'); break;
+        case 'selectOil': selectBarricade('oil'); break;
+        case 'selectSpikes': selectBarricade('spikes'); break;
+        case 'cursorUp': moveTileCursor(0, -1); break;
+        case 'cursorDown': moveTileCursor(0, 1); break;
+        case 'cursorLeft': moveTileCursor(-1, 0); break;
+        case 'cursorRight': moveTileCursor(1, 0); break;
+        case 'cycleTile':
+            if (cursorTile) pendingActions.push({ type: 'cycleTile', tile: cursorTile.userData.index });
+            break;
+        case 'cycleSignal': {
+            if (!cursorTile) break;
+            // Signals are in intersection order
+            const data = cursorTile.userData;
+            const signal = map.intersections.findIndex(c => c.x === data.intersectionX && c.z === data.intersectionZ);
+            pendingActions.push({ type: 'cycleSignal', signal: signal });
+            break;
+        }
+    }
 }
 
-// Spawn a car regularly
-setInterval(() => {
-    if (gameState === 'playing' && vehicles.length < 60) {
-        spawnVehicle();
+window.addEventListener('keydown', (event) => {
+    if (rebinding) {
+        if (rebinding.device !== 'key') return;
+        event.preventDefault();
+        if (event.code !== 'Escape') bindKey(bindings, rebinding.control, event.code);
+        finishRebinding();
+        return;
     }
-}, 800);
-
+    const control = controlForKey(bindings, event.code);
+    if (!control) return;
+    // Leave form controls (replay scrubber, sliders, initials) their own keys,
+    // but let the pause key through so it can close the menu from a slider
+    const formTarget = event.target.closest ? event.target.closest('input, select') : null;
+    if (formTarget && (control !== 'pause' || formTarget.type === 'text')) return;
+    event.preventDefault(); // Arrows and space would scroll or press a focused button
+    heldKeys.add(event.code);
+    if (!event.repeat) triggerControl(control);
+});
 
+window.addEventListener('keyup', (event) => {
+    heldKeys.delete(event.code);
+});
 
-// --- EXPLOSIONS & EFFECTS ---
-const particleGeom = new THREE.BoxGeometry(1.5, 1.5, 1.5);
-const explosions = [];
-let shakeTime = 0;
+window.addEventListener('blur', () => {
+    heldKeys.clear();
+});
 
-function createExplosion(position) {
-    // 3D Particles
-    for (let i = 0; i < 15; i++) {
-        const particleMat = new THREE.MeshBasicMaterial({ color: 0xff4400, transparent: true, opacity: 1 });
-        const mesh = new THREE.Mesh(particleGeom, particleMat);
-        mesh.position.copy(position);
-        mesh.position.y += 1; // Start slightly above ground
-        mesh.userData = {
-            velocity: new THREE.Vector3(
-                (Math.random() - 0.5) * 4,
-                Math.random() * 4,
-                (Math.random() - 0.5) * 4
-            ),
-            rotSpeed: new THREE.Vector3(
-                Math.random() * 0.4,
-                Math.random() * 0.4,
-                Math.random() * 0.4
-            ),
-            life: 1.0
-        };
-        scene.add(mesh);
-        explosions.push(mesh);
+// Once per frame: gamepad buttons fire on press, and the combined movement
+// input becomes a steer action whenever it changes.
+function pollInput() {
+    const pad = activeGamepad();
+    if (pad) {
+        pad.buttons.forEach((button, idx) => {
+            const wasPressed = gamepadButtons[idx];
+            gamepadButtons[idx] = button.pressed;
+            if (!button.pressed || wasPressed) return;
+            if (rebinding) {
+                if (rebinding.device !== 'button') return;
+                bindButton(bindings, rebinding.control, idx);
+                finishRebinding();
+                return;
+            }
+            const control = controlForButton(bindings, idx);
+            if (control) triggerControl(control);
+        });
     }
 
-    // Flash effect
-    const light = new THREE.PointLight(0xffaa00, 5, 100);
-    light.position.copy(position);
-    light.position.y += 5;
-    scene.add(light);
-    light.userData = { life: 1.0, isLight: true };
-    explosions.push(light);
-
-    // Screen Shake
-    shakeTime = 15;
+    if (sim.state.gameState !== 'playing' || playback || paused) return;
+
+    // Input is screen-relative (x right, y down); the camera's rotation
+    // decides which way that is on the ground
+    let screenX = 0;
+    let screenY = 0;
+    if (isControlHeld('moveLeft', pad)) screenX -= 1;
+    if (isControlHeld('moveRight', pad)) screenX += 1;
+    if (isControlHeld('moveUp', pad)) screenY -= 1;
+    if (isControlHeld('moveDown', pad)) screenY += 1;
+    if (pad && Math.hypot(pad.axes[0], pad.axes[1]) > STICK_DEADZONE) {
+        screenX += pad.axes[0];
+        screenY += pad.axes[1];
+    }
+    screenX = Math.max(-1, Math.min(1, screenX));
+    screenY = Math.max(-1, Math.min(1, screenY));
+    const ground = cameraController.screenToWorld(screenX, screenY, steerDirection);
+
+    // Rounded so stick jitter doesn't flood the replay with steer actions
+    const x = Math.round(ground.x * 10) / 10 || 0; // || 0 turns -0 into 0
+    const z = Math.round(ground.z * 10) / 10 || 0;
+    if (x === lastSteer.x && z === lastSteer.z) return;
+    lastSteer = { x: x, z: z };
+    pendingActions.push({ type: 'steer', x: x, z: z });
+}
 
-    // DOM Text
-    showFloatingText(position, "CRASH! +100");
+// --- TILE CURSOR ---
+// Highlights one direction tile; the cursor controls jump it to the nearest
+// tile in that direction on screen. The first press picks the tile nearest
+// the player.
+let cursorTile = null;
+const cursorMesh = new THREE.Mesh(
+    new THREE.RingGeometry(3.8, 4.4, 4, 1, Math.PI / 4), // A square frame around the tile
+    new THREE.MeshBasicMaterial({ color: 0xffff00, side: THREE.DoubleSide })
+);
+cursorMesh.rotation.x = -Math.PI / 2;
+cursorMesh.visible = false;
+scene.add(cursorMesh);
+
+function selectCursorTile(tileGroup) {
+    cursorTile = tileGroup;
+    cursorMesh.visible = tileGroup !== null;
+    if (tileGroup) cursorMesh.position.set(tileGroup.position.x, 0.55, tileGroup.position.z);
 }
 
-function updateExplosions() {
-    for (let i = explosions.length - 1; i >= 0; i--) {
-        const obj = explosions[i];
-        obj.userData.life -= 0.02;
+// (screenX, screenY) is the direction on screen: x right, y down
+function moveTileCursor(screenX, screenY) {
+    if (directionTiles.length === 0) return;
 
-        if (obj.userData.life <= 0) {
-            if (!obj.userData.isLight) {
-                obj.material.dispose();
+    if (!cursorTile) {
+        const player = sim.state.player;
+        let nearest = null;
+        let nearestDist = Infinity;
+        directionTiles.forEach(tileGroup => {
+            const dist = Math.hypot(tileGroup.position.x - player.x, tileGroup.position.z - player.z);
+            if (dist < nearestDist) {
+                nearest = tileGroup;
+                nearestDist = dist;
             }
-            scene.remove(obj);
-            explosions.splice(i, 1);
-        } else {
-            if (!obj.userData.isLight) {
-                obj.position.add(obj.userData.velocity);
-                obj.rotation.x += obj.userData.rotSpeed.x;
-                obj.rotation.y += obj.userData.rotSpeed.y;
-                obj.rotation.z += obj.userData.rotSpeed.z;
-
-                // Color fades from fire to smoke
-                obj.material.color.lerpColors(new THREE.Color(0x222222), new THREE.Color(0xff4400), obj.userData.life);
-                obj.material.opacity = obj.userData.life;
-
-                // Gravity
-                obj.userData.velocity.y -= 0.15;
-                // Floor collision
-                if (obj.position.y < 0.75) {
-                    obj.position.y = 0.75;
-                    obj.userData.velocity.y *= -0.5;
-                    obj.userData.velocity.x *= 0.8;
-                    obj.userData.velocity.z *= 0.8;
-                }
+        });
+        selectCursorTile(nearest);
+        return;
+    }
+
+    // Best tile ahead in that direction; sideways distance counts double so
+    // the cursor stays in its row or column when it can
+    const { x: dx, z: dz } = cameraController.screenToWorld(screenX, screenY, {});
+    const from = cursorTile.position;
+    let best = null;
+    let bestScore = Infinity;
+    directionTiles.forEach(tileGroup => {
+        if (tileGroup === cursorTile) return;
+        const ox = tileGroup.position.x - from.x;
+        const oz = tileGroup.position.z - from.z;
+        const along = ox * dx + oz * dz;
+        if (along <= 0.5) return;
+        const score = along + 2 * Math.abs(ox * dz - oz * dx);
+        if (score < bestScore) {
+            best = tileGroup;
+            bestScore = score;
+        }
+    });
+    if (best) selectCursorTile(best);
+}
+
+// --- CONTROLS SETTINGS ---
+const settingsPanelEl = document.getElementById('settings-panel');
+const bindingListEl = document.getElementById('binding-list');
+
+function renderBindings() {
+    bindingListEl.innerHTML = '';
+    CONTROLS.forEach(control => {
+        const row = document.createElement('div');
+        row.className = 'binding-row';
+
+        const label = document.createElement('span');
+        label.textContent = control.label;
+        row.appendChild(label);
+
+        ['key', 'button'].forEach(device => {
+            const button = document.createElement('button');
+            const binding = bindings[control.id];
+            const waiting = rebinding && rebinding.control === control.id && rebinding.device === device;
+            if (waiting) {
+                button.textContent = device === 'key' ? 'Press a key…' : 'Press a button…';
+                button.classList.add('waiting');
             } else {
-                obj.intensity = obj.userData.life * 8;
+                button.textContent = device === 'key'
+                    ? binding.keys.map(keyLabel).join(' / ') || '—'
+                    : buttonLabel(binding.button);
             }
-        }
-    }
+            button.addEventListener('click', () => {
+                rebinding = { control: control.id, device: device };
+                button.blur(); // Space must not re-click it
+                renderBindings();
+            });
+            row.appendChild(button);
+        });
+
+        bindingListEl.appendChild(row);
+    });
 }
 
-function showFloatingText(position, text) {
-    const vector = position.clone();
-    vector.project(mainCamera);
+function finishRebinding() {
+    rebinding = null;
+    saveBindings(bindings);
+    renderBindings();
+}
 
-    const x = (vector.x * 0.5 + 0.5) * window.innerWidth;
-    const y = (vector.y * -0.5 + 0.5) * window.innerHeight;
+function showSettings() {
+    rebinding = null;
+    renderBindings();
+    settingsPanelEl.classList.remove('hidden');
+}
 
-    const el = document.createElement('div');
-    el.className = 'floating-text';
-    el.innerText = text;
-    el.style.left = `${x}px`;
-    el.style.top = `${y}px`;
-    document.body.appendChild(el);
+function hideSettings() {
+    rebinding = null;
+    settingsPanelEl.classList.add('hidden');
+}
 
-    setTimeout(() => {
-        el.remove();
-    }, 1000);
+// Opened from the pause menu, and goes back to it
+document.getElementById('settings-close').addEventListener('click', () => {
+    hideSettings();
+    if (paused) pauseMenuEl.classList.remove('hidden');
+});
+document.getElementById('settings-reset').addEventListener('click', () => {
+    bindings = defaultBindings();
+    finishRebinding();
+});
+
+// --- SOUND ---
+// What the audio engine (src/audio.js) plays and where: effects are panned by
+// where they happen on screen and fade the further off screen they are.
+const audio = createAudioEngine();
+const SIREN_SECONDS = 10; // The siren wails once when the clock gets this low
+const audioProjection = new THREE.Vector3();
+let lastBlinkersLit = false;
+let lastTrafficCount = -1;
+let sirenSounded = false;
+
+function audioPlacement(x, z) {
+    audioProjection.set(x, 0, z).project(mainCamera);
+    const offscreen = Math.max(0, Math.abs(audioProjection.x) - 1, Math.abs(audioProjection.y) - 1);
+    return {
+        pan: Math.max(-1, Math.min(1, audioProjection.x)),
+        gain: 1 / (1 + offscreen * 2)
+    };
 }
 
-// --- PLAYER CHARACTER UPDATE ---
-function updatePlayer() {
-    if (gameState !== 'playing') return;
-
-    // Move toward target
-    if (playerTarget) {
-        const dx = playerTarget.x - player.position.x;
-        const dz = playerTarget.z - player.position.z;
-        const dist = Math.sqrt(dx * dx + dz * dz);
-
-        if (dist > 0.5) {
-            const mx = (dx / dist) * PLAYER_SPEED;
-            const mz = (dz / dist) * PLAYER_SPEED;
-            player.position.x += mx;
-            player.position.z += mz;
-
-            // Face movement direction
-            player.rotation.y = Math.atan2(mx, mz);
-
-            // Simple walk animation: oscillate legs
-            const time = Date.now() * 0.008;
-            const leftLeg = player.children[2]; // left leg
-            const rightLeg = player.children[3]; // right leg
-            const leftArm = player.children[4];
-            const rightArm = player.children[5];
-            if (leftLeg) leftLeg.rotation.x = Math.sin(time) * 0.5;
-            if (rightLeg) rightLeg.rotation.x = -Math.sin(time) * 0.5;
-            if (leftArm) leftArm.rotation.x = -Math.sin(time) * 0.4;
-            if (rightArm) rightArm.rotation.x = Math.sin(time) * 0.4;
-        } else {
-            playerTarget = null;
-            targetIndicator.visible = false;
-
-            // Reset limb rotations
-            player.children[2].rotation.x = 0;
-            player.children[3].rotation.x = 0;
-            player.children[4].rotation.x = 0;
-            player.children[5].rotation.x = 0;
+// Called every frame: music, traffic hum, blinker clicks and the siren
+function updateAudio() {
+    const state = sim.state;
+    const live = state.gameState === 'playing' && !paused;
+    audio.setMusic(live);
+    const trafficCount = live ? state.vehicles.length : 0;
+    if (trafficCount !== lastTrafficCount) {
+        lastTrafficCount = trafficCount;
+        audio.setTraffic(trafficCount);
+    }
+    audio.update();
+
+    // One click per blinker flash, from the middle of the cars signalling
+    const lit = blinkersLit(state.tick);
+    if (lit !== lastBlinkersLit) {
+        lastBlinkersLit = lit;
+        let count = 0;
+        let x = 0;
+        let z = 0;
+        state.vehicles.forEach(v => {
+            if (!v.blinker && v.waitTicks === 0) return;
+            count++;
+            x += v.x;
+            z += v.z;
+        });
+        if (count > 0) {
+            const placement = audioPlacement(x / count, z / count);
+            audio.blinker(lit, placement.pan, Math.min(1, count / 4) * placement.gain);
         }
     }
 
-    // Invincibility countdown
-    if (playerInvincible > 0) {
-        playerInvincible--;
-        // Blink effect: toggle visibility every 5 frames
-        player.visible = (Math.floor(playerInvincible / 5) % 2 === 0);
-    } else {
-        player.visible = true;
+    if (state.timeLeft > SIREN_SECONDS) {
+        sirenSounded = false;
+    } else if (live && !sirenSounded) {
+        sirenSounded = true;
+        audio.siren();
     }
+}
 
-    // Rotate target indicator
-    if (targetIndicator.visible) {
-        targetIndicator.rotation.z += 0.03;
+// Browsers only start audio from a user gesture
+window.addEventListener('pointerdown', () => audio.start());
+window.addEventListener('keydown', () => audio.start());
+
+// --- PAUSE MENU ---
+// Pausing stops the fixed ticks, so the clock, spawning, traffic and effects
+// all freeze with the simulation. Escape (or the HUD button) toggles it, and
+// losing focus or hiding the tab pauses automatically.
+const pauseMenuEl = document.getElementById('pause-menu');
+const volumeSettingEl = document.getElementById('volume-setting');
+const sfxSettingEl = document.getElementById('sfx-setting');
+const musicSettingEl = document.getElementById('music-setting');
+const muteSettingEl = document.getElementById('mute-setting');
+const shakeSettingEl = document.getElementById('shake-setting');
+const minimapSettingEl = document.getElementById('minimap-setting');
+
+function setPaused(value) {
+    paused = value;
+    pauseMenuEl.classList.toggle('hidden', !paused);
+    audio.setSuspended(paused);
+    if (!paused) {
+        // Resuming closes whatever was opened from the menu
+        hideSettings();
+        stageSelectEl.classList.add('hidden');
     }
 }
 
-function checkPlayerVehicleCollision() {
-    if (gameState !== 'playing' || playerInvincible > 0) return;
+function togglePause() {
+    if (!continuePromptEl.classList.contains('hidden')) return; // Answer the prompt first
+    if (!paused && (sim.state.gameState !== 'playing' || playback)) return;
+    setPaused(!paused);
+}
 
-    const playerBox = new THREE.Box3();
-    // Create a small box around player position
-    playerBox.setFromCenterAndSize(
-        new THREE.Vector3(player.position.x, 1.5, player.position.z),
-        new THREE.Vector3(2, 4, 2)
-    );
+function autoPause() {
+    if (!paused && sim.state.gameState === 'playing' && !playback) setPaused(true);
+}
 
-    const vehicleBox = new THREE.Box3();
+window.addEventListener('blur', autoPause);
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) autoPause();
+});
 
-    for (let i = vehicles.length - 1; i >= 0; i--) {
-        const v = vehicles[i];
-        if (!v.userData.active) continue;
+function applySettings() {
+    const size = MINIMAP_SIZES[settings.minimapSize];
+    document.documentElement.style.setProperty('--minimap-size', `${size}px`);
+    audio.setLevels({
+        master: settings.volume,
+        sfx: settings.sfxVolume,
+        music: settings.musicVolume,
+        muted: settings.muted
+    });
+}
 
-        vehicleBox.setFromObject(v);
+volumeSettingEl.value = settings.volume;
+sfxSettingEl.value = settings.sfxVolume;
+musicSettingEl.value = settings.musicVolume;
+muteSettingEl.checked = settings.muted;
+shakeSettingEl.value = settings.shake;
+minimapSettingEl.value = settings.minimapSize;
+applySettings();
+
+volumeSettingEl.addEventListener('input', () => {
+    settings.volume = Number(volumeSettingEl.value);
+    applySettings();
+    saveSettings(settings);
+});
+sfxSettingEl.addEventListener('input', () => {
+    settings.sfxVolume = Number(sfxSettingEl.value);
+    applySettings();
+    saveSettings(settings);
+});
+musicSettingEl.addEventListener('input', () => {
+    settings.musicVolume = Number(musicSettingEl.value);
+    applySettings();
+    saveSettings(settings);
+});
+muteSettingEl.addEventListener('change', () => {
+    settings.muted = muteSettingEl.checked;
+    applySettings();
+    saveSettings(settings);
+});
+shakeSettingEl.addEventListener('input', () => {
+    settings.shake = Number(shakeSettingEl.value);
+    saveSettings(settings);
+});
+minimapSettingEl.addEventListener('change', () => {
+    settings.minimapSize = minimapSettingEl.value;
+    applySettings();
+    saveSettings(settings);
+});
 
-        if (playerBox.intersectsBox(vehicleBox)) {
-            // Player takes damage
-            playerHP--;
-            updateHPUI();
+document.getElementById('pause-button').addEventListener('click', (event) => {
+    event.currentTarget.blur(); // Space is a game key
+    togglePause();
+});
+document.getElementById('resume-button').addEventListener('click', () => setPaused(false));
+document.getElementById('controls-button').addEventListener('click', () => {
+    pauseMenuEl.classList.add('hidden');
+    showSettings();
+});
+document.getElementById('pause-restart-button').addEventListener('click', () => {
+    resetGame(nextSeed());
+});
+// The round stays paused behind the stage select; its Back returns here
+document.getElementById('quit-button').addEventListener('click', () => {
+    pauseMenuEl.classList.add('hidden');
+    showStageSelect();
+});
 
-            // Knockback: push player away from vehicle
-            const knockDir = new THREE.Vector3(
-                player.position.x - v.position.x,
-                0,
-                player.position.z - v.position.z
-            ).normalize();
-            player.position.x += knockDir.x * 5;
-            player.position.z += knockDir.z * 5;
-            playerTarget = null;
-            targetIndicator.visible = false;
+// --- BARRICADES ---
+// Meshes for the simulation's barricades, keyed by barricade id. Models are
+// built across the X axis and turned to the barricade's heading.
+const barricadeMeshes = new Map();
+let selectedBarricade = DEFAULT_BARRICADE; // Type the next placement drops
+
+// Barricades of a type all look the same, so they share geometries and materials
+const barricadeBarGeom = new THREE.BoxGeometry(4, 1.5, 1);
+const barricadeBarMat = new THREE.MeshStandardMaterial({ color: 0xff3300 });
+const barricadeStripeGeom = new THREE.BoxGeometry(4.1, 0.4, 1.1);
+const barricadeStripeMat = new THREE.MeshStandardMaterial({ color: 0xffcc00 });
+const coneGeom = new THREE.ConeGeometry(0.45, 1.2, 10);
+const coneMat = new THREE.MeshStandardMaterial({ color: 0xff6600 });
+const concreteGeom = new THREE.BoxGeometry(4, 1.6, 1.5);
+const concreteMat = new THREE.MeshStandardMaterial({ color: 0x9a9a9a });
+const oilGeom = new THREE.CircleGeometry(1, 24);
+const oilMat = new THREE.MeshStandardMaterial({ color: 0x0a0a0a, roughness: 0.1, metalness: 0.6 });
+const spikeBaseGeom = new THREE.BoxGeometry(5, 0.15, 1);
+const spikeGeom = new THREE.ConeGeometry(0.12, 0.4, 4);
+const spikeMat = new THREE.MeshStandardMaterial({ color: 0x555555, metalness: 0.8 });
+const barricadeBlipGeom = new THREE.BoxGeometry(4, 1, 4);
+const barricadeBlipMat = new THREE.MeshBasicMaterial({ color: 0xff3300 });
+
+function addBarricadeModel(barricadeGroup, kind) {
+    switch (kind) {
+        case 'cones':
+            for (let i = -1; i <= 1; i++) {
+                const cone = new THREE.Mesh(coneGeom, coneMat);
+                cone.position.set(i * 1.5, 0.6, 0);
+                barricadeGroup.add(cone);
+            }
+            break;
+        case 'concrete': {
+            const block = new THREE.Mesh(concreteGeom, concreteMat);
+            block.position.y = 0.8;
+            barricadeGroup.add(block);
+            break;
+        }
+        case 'oil': {
+            // A flat puddle as wide and deep as the slick's footprint
+            const puddle = new THREE.Mesh(oilGeom, oilMat);
+            puddle.rotation.x = -Math.PI / 2;
+            puddle.scale.set(BARRICADE_TYPES.oil.width / 2, BARRICADE_TYPES.oil.depth / 2, 1);
+            puddle.position.y = 0.05;
+            barricadeGroup.add(puddle);
+            break;
+        }
+        case 'spikes': {
+            const base = new THREE.Mesh(spikeBaseGeom, spikeMat);
+            base.position.y = 0.075;
+            barricadeGroup.add(base);
+            for (let i = -3; i <= 3; i++) {
+                const spike = new THREE.Mesh(spikeGeom, spikeMat);
+                spike.position.set(i * 0.7, 0.35, 0);
+                barricadeGroup.add(spike);
+            }
+            break;
+        }
+        default: {
+            // Striped barrier
+            const bar = new THREE.Mesh(barricadeBarGeom, barricadeBarMat);
+            bar.position.y = 0.75;
+            barricadeGroup.add(bar);
+            const stripe = new THREE.Mesh(barricadeStripeGeom, barricadeStripeMat);
+            stripe.position.y = 0.75;
+            barricadeGroup.add(stripe);
+        }
+    }
+}
 
-            // Set invincibility (about 2 seconds at 60fps)
-            playerInvincible = 120;
+function createBarricadeMesh(barricade) {
+    const barricadeGroup = new THREE.Group();
+    addBarricadeModel(barricadeGroup, barricade.kind);
 
-            // Destroy the vehicle (crash)
-            scene.remove(v);
-            v.userData.active = false;
-            vehicles.splice(i, 1);
+    // Minimap blip for barricade
+    const blipMesh = new THREE.Mesh(barricadeBlipGeom, barricadeBlipMat);
+    blipMesh.position.y = 10;
+    blipMesh.layers.set(1);
+    barricadeGroup.add(blipMesh);
 
-            // Explosion effect (no score for self-damage)
-            createExplosion(v.position.clone());
-            showFloatingText(v.position.clone(), 'OUCH!');
+    barricadeGroup.position.set(barricade.x, 0, barricade.z);
+    barricadeGroup.rotation.y = barricade.heading;
+    barricadeGroup.userData = { isBarricade: true };
 
-            // Check game over
-            if (playerHP <= 0) {
-                gameState = 'over';
-                showResult();
-            }
+    scene.add(barricadeGroup);
+    barricadeMeshes.set(barricade.id, barricadeGroup);
+}
 
-            break; // Only one collision per frame
-        }
-    }
+function removeBarricadeMesh(barricade) {
+    const barricadeGroup = barricadeMeshes.get(barricade.id);
+    if (!barricadeGroup) return;
+    scene.remove(barricadeGroup);
+    barricadeMeshes.delete(barricade.id);
 }
 
-function checkBarricadeVehicleCollision() {
-    if (gameState !== 'playing') return;
+// Ghost of the selected type where the next barricade would go (red if the
+// type doesn't fit in the round's slots at all). Barricades it would push
+// out blink, so the oldest never disappear unannounced.
+const barricadeGhostMat = new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.35, depthWrite: false });
+const barricadeGhost = new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1), barricadeGhostMat);
+barricadeGhost.visible = false;
+scene.add(barricadeGhost);
+
+function syncBarricadePreview() {
+    const state = sim.state;
+    const live = state.gameState === 'playing' && !playback;
+    const clear = live ? barricadesToClear(state.barricades, selectedBarricade, sim.config.maxBarricades) : 0;
+    const leaving = state.barricadeCharges > 0 ? 0 : clear;
+    const blinkOn = Math.floor(state.tick / 15) % 2 === 0;
+    state.barricades.forEach((barricade, index) => {
+        const barricadeGroup = barricadeMeshes.get(barricade.id);
+        if (barricadeGroup) barricadeGroup.visible = index >= leaving || blinkOn;
+    });
 
-    const barricadeBox = new THREE.Box3();
-    const vehicleBox = new THREE.Box3();
+    barricadeGhost.visible = live;
+    if (!live) return;
+    const type = BARRICADE_TYPES[selectedBarricade];
+    const spot = barricadePlacement(map, state.player.x, state.player.z, state.player.heading);
+    barricadeGhost.scale.set(type.width, type.effect === 'skid' ? 0.1 : 1.5, type.depth);
+    barricadeGhost.position.set(spot.x, barricadeGhost.scale.y / 2, spot.z);
+    barricadeGhost.rotation.y = spot.heading;
+    barricadeGhostMat.color.setHex(clear < 0 ? 0xff3333 : 0xffffff);
+}
 
-    for (let bi = barricades.length - 1; bi >= 0; bi--) {
-        const b = barricades[bi];
-        barricadeBox.setFromCenterAndSize(
-            new THREE.Vector3(b.position.x, 0.75, b.position.z),
-            new THREE.Vector3(4, 1.5, 1.5)
-        );
+// Type picker in the HUD; number keys pick too (see src/input.js)
+const barricadeTypesEl = document.getElementById('barricade-types');
+const barricadeTypeButtons = {};
+BARRICADE_KINDS.forEach((kind, index) => {
+    const type = BARRICADE_TYPES[kind];
+    const button = document.createElement('button');
+    button.innerText = `${index + 1} ${type.label}`;
+    button.title = `Takes ${type.cost} slot${type.cost === 1 ? '' : 's'}`;
+    button.addEventListener('click', () => {
+        button.blur(); // Space is a game key
+        selectBarricade(kind);
+    });
+    barricadeTypesEl.appendChild(button);
+    barricadeTypeButtons[kind] = button;
+});
+
+function selectBarricade(kind) {
+    selectedBarricade = kind;
+    BARRICADE_KINDS.forEach(k => barricadeTypeButtons[k].classList.toggle('selected', k === kind));
+}
+selectBarricade(selectedBarricade);
+
+// --- PICKUPS ---
+// Meshes for the simulation's pickups, keyed by pickup id: a spinning gem in
+// the pickup's color that blinks when it's about to vanish
+const pickupMeshes = new Map();
+const PICKUP_COLORS = {
+    barricade: 0xffaa00,
+    heal: 0xff4444,
+    shield: 0x44aaff,
+    doubler: 0xff66ff,
+    freeze: 0x99eeff
+};
+const PICKUP_BLINK_TICKS = 180; // Blinks for its last 3 seconds
+
+const pickupGemGeom = new THREE.OctahedronGeometry(1.2);
+const pickupBlipGeom = new THREE.BoxGeometry(4, 1, 4);
+const pickupGemMats = {};
+const pickupBlipMats = {};
+Object.keys(PICKUP_TYPES).forEach(id => {
+    pickupGemMats[id] = new THREE.MeshStandardMaterial({ color: PICKUP_COLORS[id], emissive: PICKUP_COLORS[id], emissiveIntensity: 0.5 });
+    pickupBlipMats[id] = new THREE.MeshBasicMaterial({ color: PICKUP_COLORS[id] });
+});
 
-        for (let vi = vehicles.length - 1; vi >= 0; vi--) {
-            const v = vehicles[vi];
-            if (!v.userData.active) continue;
+function createPickupMesh(pickup) {
+    const pickupGroup = new THREE.Group();
 
-            vehicleBox.setFromObject(v);
+    const gem = new THREE.Mesh(pickupGemGeom, pickupGemMats[pickup.type]);
+    gem.position.y = 2;
+    pickupGroup.add(gem);
 
-            if (barricadeBox.intersectsBox(vehicleBox)) {
-                // Vehicle crashes into barricade
-                score += 100;
-                document.getElementById('score-value').innerText = score;
+    const blipMesh = new THREE.Mesh(pickupBlipGeom, pickupBlipMats[pickup.type]);
+    blipMesh.position.y = 10;
+    blipMesh.layers.set(1);
+    pickupGroup.add(blipMesh);
 
-                // Explosion
-                const midpoint = v.position.clone().lerp(b.position, 0.3);
-                createExplosion(midpoint);
-                showFloatingText(midpoint, 'CRASH! +100');
+    pickupGroup.position.set(pickup.x, 0, pickup.z);
+    scene.add(pickupGroup);
+    pickupMeshes.set(pickup.id, pickupGroup);
+}
 
-                // Remove vehicle
-                scene.remove(v);
-                v.userData.active = false;
-                vehicles.splice(vi, 1);
+function removePickupMesh(pickup) {
+    const pickupGroup = pickupMeshes.get(pickup.id);
+    if (!pickupGroup) return;
+    scene.remove(pickupGroup);
+    pickupMeshes.delete(pickup.id);
+}
 
-                // Remove barricade
-                scene.remove(b);
-                barricades.splice(bi, 1);
-                updateBarricadeUI();
+// Spin, bob and the expiry blink all follow simulation time
+function syncPickupMeshes() {
+    const time = sim.state.tick * SIM_STEP_MS * 0.003;
+    sim.state.pickups.forEach(pickup => {
+        const pickupGroup = pickupMeshes.get(pickup.id);
+        if (!pickupGroup) return;
+        const gem = pickupGroup.children[0];
+        gem.rotation.y = time;
+        gem.position.y = 2 + Math.sin(time * 2) * 0.3;
+        gem.visible = pickup.ticksLeft > PICKUP_BLINK_TICKS || Math.floor(pickup.ticksLeft / 10) % 2 === 0;
+    });
+}
 
-                break; // This barricade is gone, move to next
-            }
+// --- PEDESTRIANS ---
+// People (see PEOPLE) for the simulation's pedestrians, keyed by pedestrian
+// id. They're a bit smaller than the player, their shirt comes from a palette
+// by the pedestrian's hue, and a ring shows under one the player is holding
+// back at the curb.
+const pedestrianMeshes = new Map();
+const PEDESTRIAN_SHIRTS = [0x3399ff, 0xee4466, 0x44bb66, 0xffdd44, 0xaa66dd, 0xeeeeee];
+const PEDESTRIAN_SCALE = 0.7;
+
+const pedestrianShirtMats = PEDESTRIAN_SHIRTS.map(color => new THREE.MeshStandardMaterial({ color: color }));
+const pedestrianLegMat = new THREE.MeshStandardMaterial({ color: 0x333344 });
+const pedestrianBlipGeom = new THREE.BoxGeometry(3, 1, 3);
+const pedestrianBlipMat = new THREE.MeshBasicMaterial({ color: 0xffffff });
+const pedestrianHoldGeom = new THREE.RingGeometry(1.2, 1.6, 16);
+const pedestrianHoldMat = new THREE.MeshBasicMaterial({ color: 0x00ff88, side: THREE.DoubleSide, transparent: true, opacity: 0.7 });
+
+function createPedestrianMesh(pedestrian) {
+    const shirt = pedestrianShirtMats[Math.floor(pedestrian.hue * pedestrianShirtMats.length)];
+    const personGroup = createPerson(shirt, pedestrianLegMat);
+    personGroup.scale.setScalar(PEDESTRIAN_SCALE);
+
+    // Children 6 and 7, after the figure itself
+    const blipMesh = new THREE.Mesh(pedestrianBlipGeom, pedestrianBlipMat);
+    blipMesh.position.y = 10;
+    blipMesh.layers.set(1);
+    personGroup.add(blipMesh);
+
+    const holdRing = new THREE.Mesh(pedestrianHoldGeom, pedestrianHoldMat);
+    holdRing.rotation.x = -Math.PI / 2;
+    holdRing.position.y = 0.15;
+    holdRing.visible = false;
+    personGroup.add(holdRing);
+
+    scene.add(personGroup);
+    pedestrianMeshes.set(pedestrian.id, personGroup);
+}
+
+function removePedestrianMesh(pedestrian) {
+    const personGroup = pedestrianMeshes.get(pedestrian.id);
+    if (!personGroup) return;
+    scene.remove(personGroup);
+    pedestrianMeshes.delete(pedestrian.id);
+}
+
+function syncPedestrianMeshes() {
+    const time = sim.state.tick * SIM_STEP_MS * WALK_CYCLE_RATE;
+    sim.state.pedestrians.forEach(pedestrian => {
+        const personGroup = pedestrianMeshes.get(pedestrian.id);
+        if (!personGroup) return;
+        personGroup.position.set(pedestrian.x, 0, pedestrian.z);
+        personGroup.rotation.y = pedestrian.heading;
+        // Out of step with each other
+        animateWalk(personGroup, pedestrian.walking, time + pedestrian.id);
+        personGroup.children[7].visible = pedestrian.held;
+    });
+}
+
+// --- HUD ---
+// Only touches the DOM when a value actually changes
+const hudValues = {};
+
+function setHUDValue(id, value) {
+    if (hudValues[id] === value) return;
+    hudValues[id] = value;
+    const el = document.getElementById(id);
+    if (el) el.innerText = value;
+}
+
+const comboDisplayEl = document.getElementById('combo-display');
+const effectsDisplayEl = document.getElementById('effects-display');
+const pedestrianDisplayEl = document.getElementById('pedestrian-display');
+
+function updateHUD() {
+    const state = sim.state;
+    setHUDValue('stage-value', currentRound.stage !== null ? `Stage ${currentRound.stage}` : currentRound.name);
+    setHUDValue('score-value', state.score);
+    setHUDValue('target-value', state.targetScore);
+    setHUDValue('combo-value', `x${state.combo.multiplier}`);
+    comboDisplayEl.classList.toggle('active', state.combo.multiplier > 1);
+    setHUDValue('time-value', state.timeLeft);
+    setHUDValue('hp-value', '❤'.repeat(state.player.hp) + '♡'.repeat(MAX_HP - state.player.hp));
+    setHUDValue('barricade-value', Math.max(0, sim.config.maxBarricades - slotsUsed(state.barricades)) + state.barricadeCharges);
+    // Only rounds that can be lost to it count pedestrians run over
+    setHUDValue('pedestrian-value', `${state.pedestriansHit} / ${sim.config.pedestrianLimit}`);
+    pedestrianDisplayEl.classList.toggle('hidden', sim.config.pedestrianLimit === 0);
+
+    // Timed pickups still running, with the seconds they have left
+    const effects = TIMED_PICKUPS.filter(id => state.effects[id] > 0)
+        .map(id => `${PICKUP_TYPES[id].label} ${Math.ceil(state.effects[id] / SIM_HZ)}s`);
+    setHUDValue('effects-value', effects.join(' · '));
+    effectsDisplayEl.classList.toggle('hidden', effects.length === 0);
+}
+
+// --- INSTANCED BATCHES ---
+// Vehicles and explosion particles are drawn as InstancedMeshes: one draw call
+// per shape instead of one per object. A batch is refilled from scratch every
+// frame (begin(), add() per instance, end()) and doubles its capacity when it
+// runs out of room.
+const tmpMatrix = new THREE.Matrix4();
+const tmpPosition = new THREE.Vector3();
+const tmpQuaternion = new THREE.Quaternion();
+const tmpScale = new THREE.Vector3();
+const tmpColor = new THREE.Color();
+const UP = new THREE.Vector3(0, 1, 0);
+
+function createInstanceBatch(geometry, material, options = {}) {
+    const colored = options.colored || false; // Per-instance color (multiplies the material's)
+    const layer = options.layer || 0;
+    let mesh = null;
+    let count = 0;
+
+    function allocate(capacity) {
+        const next = new THREE.InstancedMesh(geometry, material, capacity);
+        next.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        if (colored) {
+            next.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+            next.instanceColor.setUsage(THREE.DynamicDrawUsage);
         }
+        next.frustumCulled = false; // Instances are spread over the whole map
+        next.layers.set(layer);
+        if (mesh) {
+            // Keep what this frame already wrote
+            next.instanceMatrix.array.set(mesh.instanceMatrix.array);
+            if (colored) next.instanceColor.array.set(mesh.instanceColor.array);
+            scene.remove(mesh);
+            mesh.dispose();
+        }
+        scene.add(next);
+        mesh = next;
+    }
+
+    function begin() {
+        count = 0;
+    }
+
+    function add(matrix, color) {
+        if (count === mesh.instanceMatrix.count) allocate(count * 2);
+        mesh.setMatrixAt(count, matrix);
+        if (colored) mesh.setColorAt(count, color);
+        count++;
+    }
+
+    function end() {
+        mesh.count = count;
+        mesh.visible = count > 0;
+        mesh.instanceMatrix.needsUpdate = true;
+        if (colored) mesh.instanceColor.needsUpdate = true;
     }
+
+    allocate(options.capacity || 64);
+
+    return {
+        begin: begin,
+        add: add,
+        end: end
+    };
 }
 
-// --- Helper: Find the next intersection ahead for a vehicle ---
-function findNextIntersection(vPos, axis, dir, passedIntersections) {
-    let candidates = intersectionCenters.filter(c => {
-        // Check if already passed
-        const alreadyPassed = passedIntersections.some(p => p.x === c.x && p.z === c.z);
-        if (alreadyPassed) return false;
+// --- VEHICLES ---
+// Vehicles have no meshes of their own: every frame syncVehicleInstances()
+// writes the simulation's vehicles into per-type batches.
+
+// Body parts per vehicle type, in the vehicle's frame (+Z forward, y = 0 at
+// the middle of a sedan-height body). `paint` parts take the vehicle's hue.
+const VEHICLE_PARTS = {
+    motorcycle: [
+        { size: [0.6, 0.6, 2], pos: [0, -0.2, 0], paint: true },
+        { size: [0.7, 1, 0.7], pos: [0, 0.6, -0.2], color: 0x333333 } // Rider
+    ],
+    sedan: [
+        { size: [2, 1, 4], pos: [0, 0, 0], paint: true }
+    ],
+    bus: [
+        { size: [2.4, 2.6, 9], pos: [0, 0.8, 0], paint: true },
+        { size: [2.5, 0.7, 8], pos: [0, 1.3, -0.2], color: 0x223344 } // Window band
+    ],
+    truck: [
+        { size: [2.4, 2.2, 5], pos: [0, 0.6, -1], color: 0xdddddd }, // Cargo box
+        { size: [2.4, 1.6, 2], pos: [0, 0.3, 2.5], paint: true } // Cab
+    ]
+};
 
-        if (axis === 'z') {
-            // Vehicle on a vertical road: match x coordinate
-            if (Math.abs(c.x - vPos.x) > roadWidthV / 2 + 2) return false;
-            const dist = (c.z - vPos.z) * dir;
-            return dist > -2; // Must be ahead or at intersection (allow overlap for turn trigger)
-        } else {
-            // Vehicle on a horizontal road: match z coordinate
-            if (Math.abs(c.z - vPos.z) > roadWidthH / 2 + 2) return false;
-            const dist = (c.x - vPos.x) * dir;
-            return dist > -2; // Must be ahead or at intersection
-        }
-    });
+// Paint is white so the per-instance color comes through unchanged
+const vehiclePaintMat = new THREE.MeshStandardMaterial({ color: 0xffffff });
+const vehicleBlinkerMat = new THREE.MeshBasicMaterial({ color: 0xffaa00 });
+const vehicleBlipMat = new THREE.MeshBasicMaterial({ color: 0xffffff });
+const blinkerBatch = createInstanceBatch(new THREE.BoxGeometry(0.5, 0.5, 0.5), vehicleBlinkerMat, { capacity: 128 });
+const BLIP_OFFSET = new THREE.Matrix4().makeTranslation(0, 10, 0);
+
+// Per type: one batch per body part plus the minimap blip, and the part and
+// blinker offsets in the vehicle's frame
+const vehicleBatches = {};
+Object.keys(VEHICLE_PARTS).forEach(typeId => {
+    const type = VEHICLE_TYPES[typeId];
+    const blinkerX = type.width / 2 - 0.2;
+    const blinkerZ = type.length / 2 - 0.2;
+    vehicleBatches[typeId] = {
+        parts: VEHICLE_PARTS[typeId].map(part => ({
+            batch: createInstanceBatch(
+                new THREE.BoxGeometry(...part.size),
+                part.paint ? vehiclePaintMat : new THREE.MeshStandardMaterial({ color: part.color }),
+                { colored: part.paint }
+            ),
+            offset: new THREE.Matrix4().makeTranslation(...part.pos)
+        })),
+        // Minimap blip: at least 4 units so small vehicles stay visible; it turns
+        // with the vehicle, so long vehicles read as long on the minimap too
+        blip: createInstanceBatch(
+            new THREE.BoxGeometry(Math.max(4, type.width * 2), 1, Math.max(4, type.length)),
+            vehicleBlipMat,
+            { colored: true, layer: 1 } // Layer 1 so main camera hides it
+        ),
+        // Front corners: left is +X, right is -X (front is +Z)
+        leftBlinker: new THREE.Matrix4().makeTranslation(blinkerX, 0.2, blinkerZ),
+        rightBlinker: new THREE.Matrix4().makeTranslation(-blinkerX, 0.2, blinkerZ)
+    };
+});
 
-    if (candidates.length === 0) return null;
+const BLIP_HELD_COLOR = new THREE.Color(0xff0000);
+const BLIP_BOOST_COLOR = new THREE.Color(0xffffff);
+const vehicleMatrix = new THREE.Matrix4();
+const damagedColor = new THREE.Color();
 
-    // Sort by distance, pick closest
-    candidates.sort((a, b) => {
-        const distA = axis === 'z' ? (a.z - vPos.z) * dir : (a.x - vPos.x) * dir;
-        const distB = axis === 'z' ? (b.z - vPos.z) * dir : (b.x - vPos.x) * dir;
-        return distA - distB;
+function forEachVehicleBatch(fn) {
+    Object.values(vehicleBatches).forEach(batches => {
+        batches.parts.forEach(part => fn(part.batch));
+        fn(batches.blip);
     });
+    fn(blinkerBatch);
+}
 
-    return candidates[0];
+// Turn signals flash on a 600 ms cycle of simulation time
+function blinkersLit(tick) {
+    return (tick * SIM_STEP_MS % 600) < 300;
 }
 
-// --- RENDER LOOP ---
-function animate() {
-    requestAnimationFrame(animate);
+// Copies simulation state into the vehicle batches
+function syncVehicleInstances() {
+    const state = sim.state;
+    const isBlinkOn = blinkersLit(state.tick);
+    const randomSide = Math.floor(state.tick * SIM_STEP_MS / 600) % 2 === 0 ? 'left' : 'right';
+
+    forEachVehicleBatch(batch => batch.begin());
+
+    state.vehicles.forEach(v => {
+        const batches = vehicleBatches[v.type];
+
+        // Heading is set up so +Z is always forward for the vehicle
+        tmpPosition.set(v.x, 0.5, v.z);
+        tmpQuaternion.setFromAxisAngle(UP, v.heading);
+        tmpScale.set(1, 1, 1);
+        vehicleMatrix.compose(tmpPosition, tmpQuaternion, tmpScale);
+
+        // A vehicle that survived a crash drives on scorched
+        tmpColor.setHSL(v.hue, 0.8, 0.5);
+        const paint = v.hp < VEHICLE_TYPES[v.type].hp
+            ? damagedColor.copy(tmpColor).offsetHSL(0, -0.4, -0.25)
+            : tmpColor;
+        batches.parts.forEach(part => {
+            part.batch.add(tmpMatrix.multiplyMatrices(vehicleMatrix, part.offset), paint);
+        });
 
-    if (gameState === 'playing') {
-        const now = Date.now();
-        if (now - lastTick >= 1000) {
-            timeLeft--;
-            const timeValueEl = document.getElementById('time-value');
-            if (timeValueEl) timeValueEl.innerText = timeLeft;
-            lastTick = now;
-
-            if (timeLeft <= 0) {
-                gameState = score >= targetScore ? 'clear' : 'over';
-                showResult();
+        // Hazards while a stop tile holds the car; 'random' swaps sides every flash
+        if (isBlinkOn) {
+            const blinker = v.waitTicks > 0 ? 'hazard' : v.blinker;
+            if (blinker === 'left' || blinker === 'hazard' || (blinker === 'random' && randomSide === 'left')) {
+                blinkerBatch.add(tmpMatrix.multiplyMatrices(vehicleMatrix, batches.leftBlinker));
+            }
+            if (blinker === 'right' || blinker === 'hazard' || (blinker === 'random' && randomSide === 'right')) {
+                blinkerBatch.add(tmpMatrix.multiplyMatrices(vehicleMatrix, batches.rightBlinker));
             }
         }
+
+        // Minimap: held cars show red, boosted cars white
+        const blipColor = v.waitTicks > 0 ? BLIP_HELD_COLOR : v.boostTicks > 0 ? BLIP_BOOST_COLOR : tmpColor;
+        batches.blip.add(tmpMatrix.multiplyMatrices(vehicleMatrix, BLIP_OFFSET), blipColor);
+    });
+
+    forEachVehicleBatch(batch => batch.end());
+}
+
+// --- EXPLOSIONS & EFFECTS ---
+// Particles are plain records drawn through one instanced batch; they shrink
+// as they burn out. Records are pooled so big pileups don't churn the heap.
+// The flash lights never leave the scene: they idle at zero intensity, since
+// adding and removing lights makes three.js recompile every lit material.
+const particleBatch = createInstanceBatch(
+    new THREE.BoxGeometry(1.5, 1.5, 1.5),
+    new THREE.MeshBasicMaterial({ color: 0xffffff }),
+    { colored: true, capacity: 256 }
+);
+const explosions = [];
+const particlePool = [];
+const FIRE_COLOR = new THREE.Color(0xff4400);
+const SMOKE_COLOR = new THREE.Color(0x222222);
+let shakeTime = 0;
+const shakeOffset = new THREE.Vector3();
+
+const FLASH_LIGHT_COUNT = 3;
+const flashLights = [];
+let nextFlashLight = 0;
+for (let i = 0; i < FLASH_LIGHT_COUNT; i++) {
+    const light = new THREE.PointLight(0xffaa00, 0, 100);
+    light.userData = { life: 0 };
+    scene.add(light);
+    flashLights.push(light);
+}
+
+function acquireParticle() {
+    return particlePool.pop() || {
+        position: new THREE.Vector3(),
+        rotation: new THREE.Euler(),
+        velocity: new THREE.Vector3(),
+        rotSpeed: new THREE.Vector3(),
+        life: 0
+    };
+}
+
+// `scale` grows the blast for heavy vehicles (1 = a sedan crash), `pileup`
+// is how many vehicles were involved (louder the more there are)
+function createExplosion(position, scale = 1, pileup = 2) {
+    // 3D Particles
+    for (let i = 0; i < Math.round(15 * scale); i++) {
+        const particle = acquireParticle();
+        particle.position.copy(position);
+        particle.position.y += 1; // Start slightly above ground
+        particle.rotation.set(0, 0, 0);
+        particle.velocity.set(
+            (fxRng() - 0.5) * 4 * scale,
+            fxRng() * 4,
+            (fxRng() - 0.5) * 4 * scale
+        );
+        particle.rotSpeed.set(
+            fxRng() * 0.4,
+            fxRng() * 0.4,
+            fxRng() * 0.4
+        );
+        particle.life = 1.0;
+        explosions.push(particle);
     }
 
-    // --- LOGIC UPDATES ---
-    if (gameState === 'playing') {
-        // Update player
-        updatePlayer();
-        checkPlayerVehicleCollision();
-        checkBarricadeVehicleCollision();
-
-        // Move vehicles
-        for (let i = vehicles.length - 1; i >= 0; i--) {
-            const v = vehicles[i];
-            const data = v.userData;
-            if (!data.active) continue;
-
-            // --- Dynamic Tile-Based Pathing ---
-            // Check if we're approaching an intersection and need to read a tile
-            const nextIntersection = findNextIntersection(
-                { x: v.position.x, z: v.position.z },
-                data.axis, data.dir, data.passedIntersections
-            );
-
-            if (nextIntersection && !data.isTurning) {
-                const distToCenter = data.axis === 'z'
-                    ? (nextIntersection.z - v.position.z) * data.dir
-                    : (nextIntersection.x - v.position.x) * data.dir;
-
-                // When we're close enough to the intersection center, read the tile and execute
-                const turnTriggerDist = 2; // Distance to center where we commit to direction
-
-                if (distToCenter < turnTriggerDist && distToCenter > -2) {
-                    // Read the tile for this approach
-                    const approachDir = getApproachDir(data.axis, data.dir);
-                    const tile = findTileForApproach(nextIntersection.x, nextIntersection.z, approachDir);
-
-                    const tileDirection = tile ? tile.userData.direction : 'straight';
-                    const resolved = resolveTileDirection(tileDirection, data.axis, data.dir);
-
-                    // Mark this intersection as passed
-                    data.passedIntersections.push({ x: nextIntersection.x, z: nextIntersection.z });
-
-                    if (tileDirection !== 'straight') {
-                        // Execute turn
-                        data.axis = resolved.axis;
-                        data.dir = resolved.dir;
-
-                        // Snap to lane center
-                        if (data.axis === 'x') {
-                            // Now moving horizontally, snap z to lane center
-                            v.position.z = nextIntersection.z + (data.dir === 1 ? -roadWidthH / 4 : roadWidthH / 4);
-                            v.rotation.y = data.dir === 1 ? Math.PI / 2 : -Math.PI / 2;
-                        } else {
-                            // Now moving vertically, snap x to lane center
-                            v.position.x = nextIntersection.x + (data.dir === 1 ? roadWidthV / 4 : -roadWidthV / 4);
-                            v.rotation.y = data.dir === 1 ? 0 : Math.PI;
-                        }
-
-                        // Update minimap blip reverse rotation
-                        const minimapBlip = v.children.find(c => c.layers.test({ mask: 2 }));
-                        if (minimapBlip) {
-                            minimapBlip.rotation.y = -v.rotation.y;
-                        }
-                    }
-
-                    // Turn blinkers off after passing
-                    data.leftBlinker.material.visible = false;
-                    data.rightBlinker.material.visible = false;
-                }
-
-                // Blinker logic: show blinkers when approaching intersection
-                if (distToCenter > 0 && distToCenter < 35) {
-                    const approachDir = getApproachDir(data.axis, data.dir);
-                    const tile = findTileForApproach(nextIntersection.x, nextIntersection.z, approachDir);
-                    const tileDir = tile ? tile.userData.direction : 'straight';
-
-                    const isBlinkOn = (Date.now() % 600) < 300;
-                    if (tileDir === 'left') {
-                        data.leftBlinker.material.visible = isBlinkOn;
-                        data.rightBlinker.material.visible = false;
-                    } else if (tileDir === 'right') {
-                        data.rightBlinker.material.visible = isBlinkOn;
-                        data.leftBlinker.material.visible = false;
-                    } else {
-                        data.leftBlinker.material.visible = false;
-                        data.rightBlinker.material.visible = false;
-                    }
-                }
-            } else if (!nextIntersection) {
-                // No more intersections ahead, ensure blinkers off
-                data.leftBlinker.material.visible = false;
-                data.rightBlinker.material.visible = false;
-            }
+    // Flash effect, on the least recently used light
+    const light = flashLights[nextFlashLight];
+    nextFlashLight = (nextFlashLight + 1) % FLASH_LIGHT_COUNT;
+    light.position.copy(position);
+    light.position.y += 5;
+    light.intensity = 5;
+    light.userData.life = 1.0;
 
-            // --- Avoid rear-ending cars in the same lane ---
-            let shouldStop = false;
-            let vehicleAheadDistance = Infinity;
-            for (let j = 0; j < vehicles.length; j++) {
-                if (i === j) continue;
-                const vB = vehicles[j];
-                const dataB = vB.userData;
-
-                // Check same axis and same direction
-                if (data.axis === dataB.axis && data.dir === dataB.dir) {
-                    const orthoAxis = data.axis === 'x' ? 'z' : 'x';
-                    // Check if in the same lane (using a small tolerance)
-                    if (Math.abs(v.position[orthoAxis] - vB.position[orthoAxis]) < 1) {
-                        const dist = (vB.position[data.axis] - v.position[data.axis]) * data.dir;
-                        // If vB is physically ahead and closer than the closest found so far
-                        if (dist > 0 && dist < vehicleAheadDistance) {
-                            vehicleAheadDistance = dist;
-                        }
-                    }
-                }
-            }
-            // Vehicle length is 4 units. Gap is 1 unit.
-            if (vehicleAheadDistance < 5) {
-                shouldStop = true;
-            }
+    // Screen Shake
+    shakeTime = Math.round(15 * scale);
 
-            if (!shouldStop) {
-                v.position[data.axis] += speed * data.dir;
-            }
+    if (!fastForwarding) {
+        const placement = audioPlacement(position.x, position.z);
+        audio.explosion(scale + Math.max(0, pileup - 2) * 0.5, placement.pan, placement.gain);
+    }
+}
+
+// Heavy vehicles (bigger blast radius) make bigger explosions
+function explosionScale(event) {
+    return Math.max(1, event.blast / 2);
+}
+
+// "CRASH! +300 (x3)", "4-CAR PILEUP! +..." plus a note for routed cars
+function crashText(event) {
+    let text = event.vehicles > 2 ? `${event.vehicles}-CAR PILEUP! +${event.points}` : `CRASH! +${event.points}`;
+    if (event.multiplier > 1) text += ` (x${event.multiplier})`;
+    if (event.turns > 0) text += `\nROUTED x${event.turns}`;
+    return text;
+}
 
-            // Cleanup if out of bounds
-            if (Math.abs(v.position[data.axis]) > spawnDist + 10) {
-                scene.remove(v);
-                vehicles.splice(i, 1);
+function updateExplosions() {
+    for (let i = explosions.length - 1; i >= 0; i--) {
+        const particle = explosions[i];
+        particle.life -= 0.02;
+
+        if (particle.life <= 0) {
+            particlePool.push(particle);
+            explosions.splice(i, 1);
+        } else {
+            particle.position.add(particle.velocity);
+            particle.rotation.x += particle.rotSpeed.x;
+            particle.rotation.y += particle.rotSpeed.y;
+            particle.rotation.z += particle.rotSpeed.z;
+
+            // Gravity
+            particle.velocity.y -= 0.15;
+            // Floor collision
+            if (particle.position.y < 0.75) {
+                particle.position.y = 0.75;
+                particle.velocity.y *= -0.5;
+                particle.velocity.x *= 0.8;
+                particle.velocity.z *= 0.8;
             }
         }
+    }
+
+    flashLights.forEach(light => {
+        if (light.userData.life <= 0) return;
+        light.userData.life = Math.max(0, light.userData.life - 0.02);
+        light.intensity = light.userData.life * 8;
+    });
+}
+
+// Copies the live particles into their batch
+function syncExplosionInstances() {
+    particleBatch.begin();
+    explosions.forEach(particle => {
+        tmpQuaternion.setFromEuler(particle.rotation);
+        tmpScale.setScalar(0.3 + 0.7 * particle.life);
+        tmpMatrix.compose(particle.position, tmpQuaternion, tmpScale);
+        // Color fades from fire to smoke
+        tmpColor.lerpColors(SMOKE_COLOR, FIRE_COLOR, particle.life);
+        particleBatch.add(tmpMatrix, tmpColor);
+    });
+    particleBatch.end();
+}
+
+function showFloatingText(position, text) {
+    if (fastForwarding) return;
+
+    const vector = position.clone();
+    vector.project(mainCamera);
+
+    const x = (vector.x * 0.5 + 0.5) * window.innerWidth;
+    const y = (vector.y * -0.5 + 0.5) * window.innerHeight;
+
+    const el = document.createElement('div');
+    el.className = 'floating-text';
+    el.innerText = text;
+    el.style.left = `${x}px`;
+    el.style.top = `${y}px`;
+    document.body.appendChild(el);
 
-        // Collision Check (O(N^2) but N < 60 so it's fine)
-        const boxA = new THREE.Box3();
-        const boxB = new THREE.Box3();
+    setTimeout(() => {
+        el.remove();
+    }, 1000);
+}
 
-        // We iterate backwards because we might remove elements during the loop
-        for (let i = vehicles.length - 1; i >= 0; i--) {
-            const vA = vehicles[i];
-            if (!vA.userData.active) vA.userData.active = true; // flag to prevent double processing
+// --- PLAYER CHARACTER UPDATE ---
+const WALK_CYCLE_RATE = 0.008; // Stride radians per millisecond of simulation time
 
-            boxA.setFromObject(vA);
+// Copies simulation state onto the player mesh
+function syncPlayerMesh() {
+    const state = sim.state.player;
+    player.position.set(state.x, 0, state.z);
+    player.rotation.y = state.heading;
 
-            for (let j = i - 1; j >= 0; j--) {
-                const vB = vehicles[j];
-                if (!vB.userData.active) continue;
+    animateWalk(player, state.walking, sim.state.tick * SIM_STEP_MS * WALK_CYCLE_RATE);
 
-                boxB.setFromObject(vB);
+    // Blink effect while invincible: toggle visibility every 5 ticks
+    player.visible = state.invincible > 0
+        ? (Math.floor(state.invincible / 5) % 2 === 0)
+        : true;
 
-                if (boxA.intersectsBox(boxB)) {
-                    // Collision!
-                    // 1. Remove both from scene
-                    scene.remove(vA);
-                    scene.remove(vB);
+    shieldBubble.visible = sim.state.effects.shield > 0;
 
-                    // 2. Mark inactive so they aren't processed again this frame
-                    vA.userData.active = false;
-                    vB.userData.active = false;
+    // Move target indicator
+    if (state.target) {
+        targetIndicator.position.set(state.target.x, 0.1, state.target.z);
+        targetIndicator.visible = true;
+    } else {
+        targetIndicator.visible = false;
+    }
+}
 
-                    // 3. Remove from array (safely since we iterate backwards)
-                    // vA is at i, vB is at j (j < i)
-                    vehicles.splice(i, 1);
-                    vehicles.splice(j, 1);
+// --- SIMULATION EVENTS ---
+const BARRICADE_EFFECT_TEXT = { deflect: 'SWERVE!', skid: 'SKID!', stall: 'SPIKED!' };
 
-                    // 4. Update Score
-                    score += 100;
-                    document.getElementById('score-value').innerText = score;
+// Turns what happened during a tick into meshes, effects and UI
+function handleSimEvent(event) {
+    switch (event.type) {
+        case 'crash': {
+            const position = new THREE.Vector3(event.x, 0.5, event.z);
+            createExplosion(position, explosionScale(event), event.vehicles);
+            showFloatingText(position, crashText(event));
+            break;
+        }
+        case 'barricadeCrash': {
+            const midpoint = new THREE.Vector3(event.x, 0.35, event.z);
+            createExplosion(midpoint, explosionScale(event), event.vehicles);
+            showFloatingText(midpoint, crashText(event));
+            break;
+        }
+        case 'playerHit': {
+            // Explosion effect (no score for self-damage)
+            const position = new THREE.Vector3(event.x, 0.5, event.z);
+            createExplosion(position);
+            showFloatingText(position, 'OUCH!');
+            if (!fastForwarding) audio.playerHit(audioPlacement(event.x, event.z).pan);
+            break;
+        }
+        case 'barricadePlaced':
+            createBarricadeMesh(event.barricade);
+            break;
+        case 'barricadeRemoved':
+            removeBarricadeMesh(event.barricade);
+            break;
+        case 'barricadeTriggered':
+            showFloatingText(new THREE.Vector3(event.vehicle.x, 1, event.vehicle.z), BARRICADE_EFFECT_TEXT[event.effect]);
+            break;
+        case 'pickupSpawned':
+            createPickupMesh(event.pickup);
+            break;
+        case 'pickupCollected': {
+            removePickupMesh(event.pickup);
+            showFloatingText(new THREE.Vector3(event.pickup.x, 2, event.pickup.z), `${PICKUP_TYPES[event.pickup.type].label}!`);
+            if (!fastForwarding) audio.pickup(audioPlacement(event.pickup.x, event.pickup.z).pan);
+            break;
+        }
+        case 'pickupExpired':
+            removePickupMesh(event.pickup);
+            break;
+        case 'pedestrianSpawned':
+            createPedestrianMesh(event.pedestrian);
+            break;
+        case 'pedestrianCrossed':
+            removePedestrianMesh(event.pedestrian);
+            break;
+        case 'pedestrianHit': {
+            removePedestrianMesh(event.pedestrian);
+            showFloatingText(new THREE.Vector3(event.x, 1, event.z), event.penalty > 0 ? `-${event.penalty}` : 'WATCH OUT!');
+            if (!fastForwarding) audio.playerHit(audioPlacement(event.x, event.z).pan);
+            break;
+        }
+        case 'tileChanged': {
+            const index = sim.state.tiles.indexOf(event.tile);
+            if (directionTiles[index]) setTileDirection(directionTiles[index], event.tile.direction);
+            break;
+        }
+        case 'signalChanged': {
+            const index = sim.state.signals.indexOf(event.signal);
+            if (signalPosts[index]) setSignalPhase(signalPosts[index], event.signal.phase);
+            break;
+        }
+        case 'gameEnd':
+            endRound();
+            break;
+    }
+}
 
-                    // 5. Explosion Effect
-                    const midpoint = vA.position.clone().lerp(vB.position, 0.5);
-                    createExplosion(midpoint);
+// --- SIMULATION STEP ---
+// Advances the game by exactly one fixed tick.
+function stepSimulation() {
+    let actions = [];
+    if (sim.state.gameState === 'playing') {
+        const tick = sim.state.tick + 1;
 
-                    // Break inner loop since vA is destroyed and can't hit anything else
-                    break;
-                }
-            }
-        } // End collision check loops
+        // Player input for this tick: from the replay, or queued live input
+        if (playback) {
+            playback.cursor = applyActionsForTick(playback.replay, playback.cursor, tick, action => actions.push(action));
+        } else {
+            actions = pendingActions.splice(0);
+            actions.forEach(action => recordAction(recording, tick, action));
+        }
+    }
 
-    } // End if (gameState === 'playing')
+    sim.step(actions);
+    sim.events.forEach(handleSimEvent);
 
     updateExplosions();
 
-    // Camera shake effect
+    // Rotate target indicator
+    if (targetIndicator.visible) {
+        targetIndicator.rotation.z += 0.03;
+    }
+
+    // Camera shake: offsets are rolled per tick so they don't depend on frame rate
     if (shakeTime > 0) {
         const magnitude = (shakeTime / 15) * 1.5;
-        mainCamera.position.x = 0 + (Math.random() - 0.5) * magnitude;
-        mainCamera.position.y = 95 + (Math.random() - 0.5) * magnitude;
-        mainCamera.position.z = 45 + (Math.random() - 0.5) * magnitude;
+        shakeOffset.set(
+            (fxRng() - 0.5) * magnitude,
+            (fxRng() - 0.5) * magnitude,
+            (fxRng() - 0.5) * magnitude
+        );
         shakeTime--;
     } else {
-        mainCamera.position.set(0, 95, 45);
+        shakeOffset.set(0, 0, 0);
+    }
+}
+
+// --- RENDER LOOP ---
+let lastFrameTime = performance.now();
+let frameAccumulator = 0;
+
+function animate(now = performance.now()) {
+    requestAnimationFrame(animate);
+    pollInput();
+
+    // Run as many fixed ticks as the elapsed wall-clock time covers
+    // (scaled by the playback speed while watching a replay)
+    const rate = paused ? 0 : playback ? (playback.paused ? 0 : playback.speed) : 1;
+    const frameMs = Math.min(now - lastFrameTime, MAX_FRAME_MS);
+    frameAccumulator += frameMs * rate;
+    lastFrameTime = now;
+    while (frameAccumulator >= SIM_STEP_MS) {
+        stepSimulation();
+        frameAccumulator -= SIM_STEP_MS;
     }
-    mainCamera.lookAt(0, 0, 0);
+    if (playback) updateReplayBar();
+    updateAudio();
+    if (!paused && sim.state.tick - lastAutosaveTick >= AUTOSAVE_TICKS) autosave();
+
+    syncVehicleInstances();
+    syncExplosionInstances();
+    syncPickupMeshes();
+    syncPedestrianMeshes();
+    syncBarricadePreview();
+    syncPlayerMesh();
+    updateHUD();
+
+    // Camera, with the shake layered on top
+    updateCamera(frameMs / 1000);
+    placeMainCamera();
 
     // 1. Render Main Scene
     renderer.setViewport(0, 0, window.innerWidth, window.innerHeight);
@@ -1119,6 +2247,8 @@ function animate() {
     // 2. Render Minimap
     const minimapDiv = document.getElementById('minimap');
     if (minimapDiv) {
+        updateViewportFrame();
+
         // Get minimap container's bounding rectangle to know where to render
         const rect = minimapDiv.getBoundingClientRect();
 
@@ -1145,19 +2275,50 @@ window.addEventListener('resize', () => {
     renderer.setSize(window.innerWidth, window.innerHeight);
 });
 
-// Start loop
-animate();
+// Called when the simulation reports the end of a round
+function endRound() {
+    if (playback) {
+        // The replay reached its end: hold the final frame, the bar stays up
+        playback.paused = true;
+        return;
+    }
+
+    recording.endTick = sim.state.tick;
+    lastReplay = recording;
+    clearAutosave();
+
+    // Campaign: clearing a stage opens the next one
+    if (sim.state.gameState === 'clear' && currentRound.stage !== null) {
+        if (unlockNextStage(progress, currentRound.stage, campaign.length)) {
+            saveProgress(progress);
+        }
+    }
+
+    showResult(recordScore());
+}
 
-function showResult() {
+// `rank` is where the round placed on its leaderboard (see recordScore())
+function showResult(rank) {
     const resultScreenEl = document.getElementById('result-screen');
     const resultTitleEl = document.getElementById('result-title');
     const resultScoreEl = document.getElementById('result-score');
 
     if (resultScreenEl) {
         resultScreenEl.classList.remove('hidden');
-        if (resultScoreEl) resultScoreEl.innerText = `Final Score: ${score}`;
+        const resultStageEl = document.getElementById('result-stage');
+        if (resultStageEl) {
+            resultStageEl.innerText = currentRound.stage !== null
+                ? `Stage ${currentRound.stage}: ${currentRound.name}`
+                : `${currentRound.name}: ${map.name}`;
+        }
+        if (resultScoreEl) resultScoreEl.innerText = `Final Score: ${sim.state.score}`;
+        const resultSeedEl = document.getElementById('result-seed');
+        if (resultSeedEl) resultSeedEl.innerText = `Seed: ${runSeed}`;
+        document.getElementById('result-record').classList.toggle('hidden', rank !== 0);
+        renderLeaderboard();
+        audio.jingle(sim.state.gameState);
         if (resultTitleEl) {
-            if (gameState === 'clear') {
+            if (sim.state.gameState === 'clear') {
                 resultTitleEl.innerText = 'MISSION CLEARED!';
                 resultTitleEl.style.color = '#4CAF50';
             } else {
@@ -1165,57 +2326,414 @@ function showResult() {
                 resultTitleEl.style.color = '#F44336';
             }
         }
+
+        // Offer the next stage once it is unlocked
+        const nextStageBtn = document.getElementById('next-stage-button');
+        if (nextStageBtn) {
+            const next = currentRound.stage !== null ? campaign[currentRound.stage] : null;
+            nextStageBtn.classList.toggle('hidden', !next || next.stage > progress.unlocked);
+        }
     }
 }
 
+// Switches to another round's rules (and map, if it differs) and starts it
+function startRound(round, seed) {
+    currentRound = round;
+    if (!map || map.id !== round.mapId) {
+        map = loadMap(round.mapId);
+        buildWorld();
+    }
+    sim = createSimulation(map, {
+        targetScore: round.targetScore,
+        timeLimit: round.timeLimit,
+        spawnInterval: round.spawnInterval,
+        maxVehicles: round.maxVehicles,
+        maxBarricades: round.maxBarricades,
+        tiles: round.tiles,
+        stopSeconds: round.stopSeconds,
+        signalPhase: round.signalPhase,
+        pickupInterval: round.pickupInterval,
+        maxPickups: round.maxPickups,
+        pedestrianInterval: round.pedestrianInterval,
+        maxPedestrians: round.maxPedestrians,
+        pedestrianPenalty: round.pedestrianPenalty,
+        pedestrianLimit: round.pedestrianLimit,
+        schedule: round.schedule
+    });
+    resetGame(seed);
+}
+
+// Puts the whole game back to its opening state for the given seed
+function resetGame(seed) {
+    seedRun(seed);
+    sim.reset(runSeed);
+    shakeTime = 0;
+    shakeOffset.set(0, 0, 0);
+    frameAccumulator = 0;
+    pendingActions.length = 0;
+    setPaused(false);
+    lastSteer = { x: 0, z: 0 }; // A key still held steers again in the new round
+    recording = createReplay(runSeed, map.id, currentRound.stage);
+    lastAutosaveTick = -AUTOSAVE_TICKS; // The first tick replaces any older save
+
+    const resultScreenEl = document.getElementById('result-screen');
+    if (resultScreenEl) resultScreenEl.classList.add('hidden');
+
+    // Clear explosions (vehicles are redrawn from the simulation every frame)
+    particlePool.push(...explosions);
+    explosions.length = 0;
+    flashLights.forEach(light => {
+        light.userData.life = 0;
+        light.intensity = 0;
+    });
+
+    syncSceneToState();
+}
+
+// Makes tiles, signals, barricades, pickups, pedestrians, the player and the
+// HUD match the simulation, after a reset or after restoring a snapshot
+function syncSceneToState() {
+    directionTiles.forEach((tileGroup, index) => {
+        setTileDirection(tileGroup, sim.state.tiles[index].direction);
+    });
+    signalPosts.forEach((post, index) => {
+        setSignalPhase(post, sim.state.signals[index].phase);
+    });
+
+    barricadeMeshes.forEach(b => scene.remove(b));
+    barricadeMeshes.clear();
+    sim.state.barricades.forEach(createBarricadeMesh);
+    pickupMeshes.forEach(p => scene.remove(p));
+    pickupMeshes.clear();
+    sim.state.pickups.forEach(createPickupMesh);
+    pedestrianMeshes.forEach(p => scene.remove(p));
+    pedestrianMeshes.clear();
+    sim.state.pedestrians.forEach(createPedestrianMesh);
+
+    syncPlayerMesh();
+    updateHUD();
+}
+
+// Continues from a snapshot of the current round's simulation
+function restoreSimulation(simSnapshot) {
+    sim.restore(simSnapshot);
+    syncSceneToState();
+}
+
 const restartBtn = document.getElementById('restart-button');
 if (restartBtn) {
     restartBtn.addEventListener('click', () => {
-        score = 0;
-        timeLeft = 60;
-        gameState = 'playing';
-        lastTick = Date.now();
-
-        const scoreValueEl = document.getElementById('score-value');
-        const timeValueEl = document.getElementById('time-value');
-        const resultScreenEl = document.getElementById('result-screen');
-
-        if (scoreValueEl) scoreValueEl.innerText = score;
-        if (timeValueEl) timeValueEl.innerText = timeLeft;
-        if (resultScreenEl) resultScreenEl.classList.add('hidden');
-
-        // Clear vehicles
-        vehicles.forEach(v => scene.remove(v));
-        vehicles.length = 0;
-
-        // Clear explosions
-        explosions.forEach(e => {
-            if (!e.userData.isLight && e.material) e.material.dispose();
-            scene.remove(e);
+        resetGame(nextSeed());
+    });
+}
+
+// --- LEADERBOARD ---
+// Every finished round (not replays) goes on its board; the result screen
+// shows that board with the new entry highlighted. See src/leaderboard.js.
+const leaderboard = loadLeaderboard();
+let playerInitials = loadInitials();
+let latestEntry = null; // Entry the last finished round placed on its board
+const initialsInputEl = document.getElementById('initials-input');
+const leaderboardBodyEl = document.getElementById('leaderboard-body');
+const scoresFileInput = document.getElementById('scores-file');
+initialsInputEl.value = playerInitials;
+
+// Returns the entry's rank on its board (0 = new record, -1 = didn't place)
+function recordScore() {
+    const entry = {
+        initials: playerInitials,
+        score: sim.state.score,
+        date: new Date().toISOString(),
+        crashes: sim.state.crashes,
+        hp: sim.state.player.hp,
+        mode: currentRound.stage !== null ? 'campaign' : 'free',
+        board: boardKey(currentRound)
+    };
+    const rank = addEntry(leaderboard, entry);
+    saveLeaderboard(leaderboard);
+    latestEntry = rank >= 0 ? entry : null;
+    return rank;
+}
+
+function renderLeaderboard() {
+    const board = boardKey(currentRound);
+    document.getElementById('leaderboard-title').innerText = currentRound.stage !== null
+        ? `Stage ${currentRound.stage} High Scores`
+        : `${map.name} High Scores`;
+    leaderboardBodyEl.innerHTML = '';
+    boardEntries(leaderboard, board).forEach((entry, idx) => {
+        const row = document.createElement('tr');
+        if (entry === latestEntry) row.className = 'latest';
+        [idx + 1, entry.initials, entry.score, entry.crashes, entry.hp, entry.date.slice(0, 10)].forEach(value => {
+            const cell = document.createElement('td');
+            cell.innerText = value;
+            row.appendChild(cell);
         });
-        explosions.length = 0;
+        leaderboardBodyEl.appendChild(row);
+    });
+}
 
-        // Reset direction tiles to 'straight'
-        directionTiles.forEach(tileGroup => {
-            const data = tileGroup.userData;
-            // Reset to straight
-            while (data.direction !== 'straight') {
-                cycleTileDirection(tileGroup);
-            }
+// Typing initials renames the entry just made and is remembered for the next one
+initialsInputEl.addEventListener('input', () => {
+    playerInitials = cleanInitials(initialsInputEl.value);
+    saveInitials(playerInitials);
+    if (latestEntry) {
+        latestEntry.initials = playerInitials;
+        saveLeaderboard(leaderboard);
+        renderLeaderboard();
+    }
+});
+
+document.getElementById('export-scores-button').addEventListener('click', () => {
+    const blob = new Blob([serializeLeaderboard(leaderboard)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `crash-junction-scores-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+});
+document.getElementById('import-scores-button').addEventListener('click', () => scoresFileInput.click());
+scoresFileInput.addEventListener('change', () => {
+    const file = scoresFileInput.files[0];
+    scoresFileInput.value = '';
+    if (!file) return;
+    file.text().then(text => {
+        const added = mergeLeaderboards(leaderboard, parseLeaderboard(text));
+        saveLeaderboard(leaderboard);
+        if (latestEntry && !leaderboard.entries.includes(latestEntry)) latestEntry = null; // Pushed off the board
+        renderLeaderboard();
+        alert(`Imported ${added} new score${added === 1 ? '' : 's'}`);
+    }).catch(err => {
+        alert(`Could not import scores: ${err.message}`);
+    });
+});
+
+// --- STAGE SELECT ---
+const stageSelectEl = document.getElementById('stage-select');
+const stageListEl = document.getElementById('stage-list');
+
+function showStageSelect() {
+    stageListEl.innerHTML = '';
+    campaign.forEach(round => {
+        const locked = round.stage > progress.unlocked;
+        const button = document.createElement('button');
+        button.className = 'stage-entry';
+        button.disabled = locked;
+        const best = personalBest(leaderboard, boardKey(round));
+        button.innerText = locked
+            ? `${round.stage}. LOCKED`
+            : `${round.stage}. ${round.name} (${round.targetScore} pts / ${round.timeLimit}s)` +
+                (best ? ` - Best: ${best.score}` : '');
+        button.addEventListener('click', () => {
+            stageSelectEl.classList.add('hidden');
+            startRound(round, nextSeed());
         });
+        stageListEl.appendChild(button);
+    });
+    stageSelectEl.classList.remove('hidden');
+}
 
-        // Reset player character
-        playerHP = MAX_HP;
-        playerInvincible = 0;
-        player.position.set(0, 0, 0);
-        player.visible = true;
-        playerTarget = null;
-        targetIndicator.visible = false;
-        updateHPUI();
+document.getElementById('next-stage-button').addEventListener('click', () => {
+    const next = campaign[currentRound.stage];
+    if (next) startRound(next, nextSeed());
+});
+document.getElementById('stage-select-button').addEventListener('click', showStageSelect);
+document.getElementById('stage-select-close').addEventListener('click', () => {
+    stageSelectEl.classList.add('hidden');
+    if (paused) pauseMenuEl.classList.remove('hidden'); // Back from quit-to-menu
+});
+
+// --- REPLAY PLAYBACK ---
+const replayBarEl = document.getElementById('replay-bar');
+const replayToggleBtn = document.getElementById('replay-toggle');
+const replayScrubEl = document.getElementById('replay-scrub');
+const replayTimeEl = document.getElementById('replay-time');
+const replaySpeedEl = document.getElementById('replay-speed');
+const replayFileInput = document.getElementById('replay-file');
+
+function formatTicks(ticks) {
+    const seconds = Math.floor(ticks / SIM_HZ);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
 
-        // Clear barricades
-        barricades.forEach(b => scene.remove(b));
-        barricades.length = 0;
-        updateBarricadeUI();
+function startReplay(replay) {
+    // Replays run under the rules they were recorded with
+    const round = (replay.stage !== null && campaign[replay.stage - 1]) || freePlayRound(replay.mapId);
+
+    playback = { replay: replay, cursor: 0, paused: false, speed: Number(replaySpeedEl.value) || 1 };
+    startRound(round, replay.seed);
+    if (replay.start) restoreSimulation(replay.start);
+    replayScrubEl.min = replay.start ? replay.start.state.tick : 0;
+    replayScrubEl.max = replay.endTick;
+    document.getElementById('result-screen').classList.add('hidden');
+    replayBarEl.classList.remove('hidden');
+    updateReplayBar();
+}
+
+// Jumps to `tick` by re-simulating the run from the start
+function seekReplay(tick) {
+    if (!playback) return;
+    const replay = playback.replay;
+    const target = Math.max(Number(replayScrubEl.min), Math.min(tick, replay.endTick));
+    if (target < sim.state.tick || sim.state.gameState !== 'playing') {
+        resetGame(replay.seed);
+        if (replay.start) restoreSimulation(replay.start);
+        playback.cursor = 0;
+    }
+    fastForwarding = true;
+    while (sim.state.tick < target && sim.state.gameState === 'playing') {
+        stepSimulation();
+    }
+    fastForwarding = false;
+    updateReplayBar();
+}
+
+function stopReplay() {
+    if (!playback) return;
+    // Finish the run so the result screen shows the replay's outcome
+    seekReplay(playback.replay.endTick);
+    lastReplay = playback.replay;
+    playback = null;
+    replayBarEl.classList.add('hidden');
+    latestEntry = null; // Replays don't go on the leaderboard
+    showResult(-1);
+}
+
+function updateReplayBar() {
+    replayToggleBtn.innerText = playback.paused ? 'Play' : 'Pause';
+    if (document.activeElement !== replayScrubEl) replayScrubEl.value = sim.state.tick;
+    replayTimeEl.innerText = `${formatTicks(sim.state.tick)} / ${formatTicks(playback.replay.endTick)}`;
+}
+
+function exportReplay(replay) {
+    const blob = new Blob([serializeReplay(replay)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `crash-junction-${replay.mapId}-${replay.seed}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+replayToggleBtn.addEventListener('click', () => {
+    // Pressing play at the end starts over
+    if (playback.paused && sim.state.tick >= playback.replay.endTick) seekReplay(0);
+    playback.paused = !playback.paused;
+    updateReplayBar();
+});
+replayScrubEl.addEventListener('input', () => seekReplay(Number(replayScrubEl.value)));
+replayScrubEl.addEventListener('change', () => replayScrubEl.blur());
+replaySpeedEl.addEventListener('change', () => {
+    if (playback) playback.speed = Number(replaySpeedEl.value);
+});
+document.getElementById('replay-export').addEventListener('click', () => exportReplay(playback.replay));
+document.getElementById('replay-exit').addEventListener('click', stopReplay);
+
+document.getElementById('watch-replay-button').addEventListener('click', () => {
+    if (lastReplay) startReplay(lastReplay);
+});
+document.getElementById('export-replay-button').addEventListener('click', () => {
+    if (lastReplay) exportReplay(lastReplay);
+});
+document.getElementById('load-replay-button').addEventListener('click', () => replayFileInput.click());
+replayFileInput.addEventListener('change', () => {
+    const file = replayFileInput.files[0];
+    replayFileInput.value = '';
+    if (!file) return;
+    file.text().then(text => {
+        startReplay(parseReplay(text));
+    }).catch(err => {
+        alert(`Could not load replay: ${err.message}`);
     });
+});
+
+// --- SAVE & RESUME ---
+// Live rounds are autosaved every few seconds and whenever the page is
+// hidden, and the next visit offers to continue. From the pause menu a round
+// can also be exported as a setup: a snapshot without its recording, which
+// anyone can load as a puzzle (see src/snapshot.js).
+const AUTOSAVE_TICKS = 5 * SIM_HZ;
+let lastAutosaveTick = 0;
+const continuePromptEl = document.getElementById('continue-prompt');
+const setupFileInput = document.getElementById('setup-file');
+
+function currentSnapshot(withRecording) {
+    return createSnapshot(sim.snapshot(), runSeed, map.id, currentRound.stage, withRecording ? recording : null);
 }
+
+function autosave() {
+    if (playback || sim.state.gameState !== 'playing') return;
+    saveAutosave(currentSnapshot(true));
+    lastAutosaveTick = sim.state.tick;
+}
+
+// Rebuilds the snapshot's round and carries on from it, paused
+function resumeSnapshot(snapshot) {
+    const round = (snapshot.stage !== null && campaign[snapshot.stage - 1]) || freePlayRound(snapshot.mapId);
+    startRound(round, snapshot.seed);
+    restoreSimulation(snapshot.sim);
+    // The save may have caught a key mid-press: whatever is held (or not)
+    // once play continues replaces the restored steer
+    lastSteer = { ...sim.state.player.steer };
+    // An autosave keeps recording the same run; a setup starts a recording of its own
+    recording = snapshot.replay || createReplay(runSeed, map.id, currentRound.stage, snapshot.sim);
+    autosave();
+    setPaused(true);
+}
+
+function showContinuePrompt(snapshot) {
+    const round = snapshot.stage !== null ? campaign[snapshot.stage - 1] : null;
+    const state = snapshot.sim.state;
+    document.getElementById('continue-round').innerText =
+        `${round ? `Stage ${round.stage}: ${round.name}` : 'Free Play'} - ${state.score} pts, ${state.timeLeft}s left`;
+    paused = true; // The fresh round waits behind the prompt
+    continuePromptEl.classList.remove('hidden');
+
+    document.getElementById('continue-button').onclick = () => {
+        continuePromptEl.classList.add('hidden');
+        try {
+            resumeSnapshot(snapshot);
+        } catch (err) {
+            alert(`Could not continue: ${err.message}`);
+            clearAutosave();
+            setPaused(false);
+        }
+    };
+    document.getElementById('new-game-button').onclick = () => {
+        continuePromptEl.classList.add('hidden');
+        clearAutosave();
+        setPaused(false);
+    };
+}
+
+function exportSetup() {
+    const blob = new Blob([serializeSnapshot(currentSnapshot(false))], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `crash-junction-setup-${map.id}-${sim.state.tick}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+window.addEventListener('pagehide', autosave);
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) autosave();
+});
+
+document.getElementById('export-setup-button').addEventListener('click', exportSetup);
+document.getElementById('load-setup-button').addEventListener('click', () => setupFileInput.click());
+setupFileInput.addEventListener('change', () => {
+    const file = setupFileInput.files[0];
+    setupFileInput.value = '';
+    if (!file) return;
+    file.text().then(text => {
+        resumeSnapshot(parseSnapshot(text));
+    }).catch(err => {
+        alert(`Could not load setup: ${err.message}`);
+    });
+});
+
+// --- START ---
+const savedRun = loadAutosave();
+startRound(initialRound(), nextSeed());
+if (savedRun) showContinuePrompt(savedRun);
+animate();
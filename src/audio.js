@@ -0,0 +1,260 @@
+// --- AUDIO ENGINE ---
+// Every sound is synthesized with Web Audio as it plays: there are no sound
+// files to download. Nothing here touches THREE or the simulation; the
+// renderer (main.js) decides what to play and where on screen it happened.
+//
+// Sound effects and music run through their own buses into the master gain.
+// Effects take a `pan` (-1 left to 1 right) and a `gain` (0 to 1, quieter for
+// events away from the view).
+//
+// Browsers only allow audio after a user gesture, so nothing is created until
+// the first start() (the renderer calls it on the first click or key press).
+// Without Web Audio every call is a no-op.
+
+const MUSIC_STEP = 60 / 132 / 2; // Eighth notes at 132 bpm, in seconds
+const MUSIC_LOOKAHEAD = 0.2; // Seconds of music scheduled ahead of the clock
+const LEVEL_EASE = 0.05; // Time constant for volume changes, in seconds
+
+// Four bars of eight steps: bass root per bar, arpeggio as semitones above it
+const BASS_ROOTS = [45, 41, 48, 43]; // MIDI notes: A2, F2, C3, G2
+const ARPEGGIO = [12, null, 19, 15, null, 19, 24, null];
+
+function midiToFrequency(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+export function createAudioEngine() {
+    let ctx = null;
+    let master = null;
+    let sfxBus = null;
+    let musicBus = null;
+    let noise = null; // One second of white noise, shared by every burst
+    let hum = null; // { gain, filter, oscillators } of the traffic drone
+    let suspended = false;
+    let musicOn = false;
+    let musicStep = 0; // Next step of the loop to schedule...
+    let musicTime = 0; // ...and when it plays
+    const levels = { master: 1, sfx: 1, music: 1, muted: false };
+
+    function start() {
+        if (ctx) {
+            if (!suspended && ctx.state === 'suspended') ctx.resume();
+            return;
+        }
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContext) return;
+        ctx = new AudioContext();
+
+        master = ctx.createGain();
+        master.connect(ctx.destination);
+        sfxBus = ctx.createGain();
+        sfxBus.connect(master);
+        musicBus = ctx.createGain();
+        musicBus.connect(master);
+        applyLevels();
+
+        noise = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+        const samples = noise.getChannelData(0);
+        for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1;
+
+        hum = createHum();
+        if (suspended) ctx.suspend();
+    }
+
+    function applyLevels() {
+        if (!ctx) return;
+        const now = ctx.currentTime;
+        master.gain.setTargetAtTime(levels.muted ? 0 : levels.master, now, LEVEL_EASE);
+        sfxBus.gain.setTargetAtTime(levels.sfx, now, LEVEL_EASE);
+        musicBus.gain.setTargetAtTime(levels.music, now, LEVEL_EASE);
+    }
+
+    // { master, sfx, music } volumes from 0 to 1, and `muted`
+    function setLevels(values) {
+        Object.assign(levels, values);
+        applyLevels();
+    }
+
+    // Freezes every sound in place (the game is paused)
+    function setSuspended(value) {
+        suspended = value;
+        if (!ctx) return;
+        if (suspended) ctx.suspend();
+        else ctx.resume();
+    }
+
+    // Gain -> stereo panner -> bus; returns the gain to connect a voice to
+    function voiceOutput(bus, pan, gain) {
+        const output = ctx.createGain();
+        output.gain.value = gain;
+        const panner = ctx.createStereoPanner();
+        panner.pan.value = Math.max(-1, Math.min(1, pan));
+        output.connect(panner);
+        panner.connect(bus);
+        return output;
+    }
+
+    // A single enveloped oscillator note
+    function playTone(bus, type, frequency, time, duration, volume, pan = 0) {
+        const osc = ctx.createOscillator();
+        osc.type = type;
+        osc.frequency.setValueAtTime(frequency, time);
+        const envelope = ctx.createGain();
+        envelope.gain.setValueAtTime(0, time);
+        envelope.gain.linearRampToValueAtTime(volume, time + 0.01);
+        envelope.gain.exponentialRampToValueAtTime(0.001, time + duration);
+        osc.connect(envelope);
+        envelope.connect(voiceOutput(bus, pan, 1));
+        osc.start(time);
+        osc.stop(time + duration + 0.05);
+        return osc;
+    }
+
+    // Filtered noise, for blasts and hi-hats
+    function playNoise(bus, time, duration, volume, fromHz, toHz, pan = 0, gain = 1) {
+        const source = ctx.createBufferSource();
+        source.buffer = noise;
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(fromHz, time);
+        filter.frequency.exponentialRampToValueAtTime(toHz, time + duration);
+        const envelope = ctx.createGain();
+        envelope.gain.setValueAtTime(volume, time);
+        envelope.gain.exponentialRampToValueAtTime(0.001, time + duration);
+        source.connect(filter);
+        filter.connect(envelope);
+        envelope.connect(voiceOutput(bus, pan, gain));
+        source.start(time, Math.random() * 0.5);
+        source.stop(time + duration + 0.05);
+    }
+
+    // `size` is 1 for a two-car crash and grows with the pileup (capped at 4)
+    function explosion(size, pan = 0, gain = 1) {
+        if (!ctx) return;
+        const scale = Math.min(size, 4);
+        const now = ctx.currentTime;
+        const duration = 0.5 + scale * 0.25;
+        playNoise(sfxBus, now, duration, 0.4 + scale * 0.1, 2500 + scale * 500, 120, pan, gain);
+
+        // Low thump under the noise
+        const thump = playTone(sfxBus, 'sine', 110, now, duration * 0.8, 0.5 * gain, pan);
+        thump.frequency.exponentialRampToValueAtTime(35, now + duration * 0.8);
+    }
+
+    // Relay click of the turn signals: higher when they light, lower when they go dark
+    function blinker(lit, pan = 0, gain = 1) {
+        if (!ctx) return;
+        playTone(sfxBus, 'square', lit ? 3200 : 2400, ctx.currentTime, 0.02, 0.05 * gain, pan);
+    }
+
+    // The player, or a pedestrian, got run over
+    function playerHit(pan = 0) {
+        if (!ctx) return;
+        const now = ctx.currentTime;
+        playTone(sfxBus, 'square', 587, now, 0.12, 0.2, pan);
+        playTone(sfxBus, 'square', 415, now + 0.1, 0.25, 0.2, pan);
+    }
+
+    // Rising chime for a collected pickup
+    function pickup(pan = 0) {
+        if (!ctx) return;
+        const now = ctx.currentTime;
+        playTone(sfxBus, 'triangle', midiToFrequency(76), now, 0.1, 0.2, pan);
+        playTone(sfxBus, 'triangle', midiToFrequency(83), now + 0.08, 0.25, 0.2, pan);
+    }
+
+    // Two-tone wail, e.g. as time runs out
+    function siren() {
+        if (!ctx) return;
+        const now = ctx.currentTime;
+        const osc = playTone(sfxBus, 'triangle', 960, now, 2.6, 0.15);
+        for (let i = 1; i < 6; i++) {
+            osc.frequency.setValueAtTime(i % 2 === 0 ? 960 : 770, now + i * 0.45);
+        }
+    }
+
+    // Round end: 'clear' climbs a major arpeggio, 'over' falls to a minor one
+    function jingle(result) {
+        if (!ctx) return;
+        const notes = result === 'clear' ? [60, 64, 67, 72, 76] : [67, 63, 60, 55];
+        const now = ctx.currentTime;
+        notes.forEach((note, i) => {
+            const last = i === notes.length - 1;
+            playTone(musicBus, 'triangle', midiToFrequency(note), now + i * 0.14, last ? 0.8 : 0.2, 0.25);
+        });
+    }
+
+    // Traffic drone: two detuned saws whose pitch and level follow the vehicle count
+    function createHum() {
+        const gain = ctx.createGain();
+        gain.gain.value = 0;
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = 300;
+        filter.connect(gain);
+        gain.connect(sfxBus);
+        const oscillators = [0, 7].map(detune => {
+            const osc = ctx.createOscillator();
+            osc.type = 'sawtooth';
+            osc.frequency.value = 40;
+            osc.detune.value = detune;
+            osc.connect(filter);
+            osc.start();
+            return osc;
+        });
+        return { gain: gain, filter: filter, oscillators: oscillators };
+    }
+
+    function setTraffic(vehicleCount) {
+        if (!ctx) return;
+        const busy = Math.min(vehicleCount, 60) / 60;
+        const now = ctx.currentTime;
+        hum.gain.gain.setTargetAtTime(vehicleCount > 0 ? 0.04 + busy * 0.1 : 0, now, 0.5);
+        hum.filter.frequency.setTargetAtTime(300 + busy * 900, now, 0.5);
+        hum.oscillators.forEach(osc => osc.frequency.setTargetAtTime(40 + busy * 45, now, 0.5));
+    }
+
+    function setMusic(on) {
+        if (on && !musicOn && ctx) {
+            musicStep = 0;
+            musicTime = ctx.currentTime + 0.05;
+        }
+        musicOn = on;
+    }
+
+    function playMusicStep(step, time) {
+        const root = BASS_ROOTS[Math.floor(step / 8) % BASS_ROOTS.length];
+        const beat = step % 8;
+        if (beat % 2 === 0) playTone(musicBus, 'square', midiToFrequency(root - 12), time, MUSIC_STEP * 1.6, 0.12);
+        else playNoise(musicBus, time, 0.05, 0.05, 9000, 6000);
+        const interval = ARPEGGIO[beat];
+        if (interval !== null) playTone(musicBus, 'triangle', midiToFrequency(root + interval), time, MUSIC_STEP * 0.9, 0.07);
+    }
+
+    // Schedules the music loop just ahead of the audio clock; call every frame
+    function update() {
+        if (!ctx || !musicOn || suspended) return;
+        // Don't try to catch up on steps missed while the tab was throttled
+        if (musicTime < ctx.currentTime) musicTime = ctx.currentTime + 0.05;
+        while (musicTime < ctx.currentTime + MUSIC_LOOKAHEAD) {
+            playMusicStep(musicStep, musicTime);
+            musicStep = (musicStep + 1) % (BASS_ROOTS.length * 8);
+            musicTime += MUSIC_STEP;
+        }
+    }
+
+    return {
+        start: start,
+        setLevels: setLevels,
+        setSuspended: setSuspended,
+        explosion: explosion,
+        blinker: blinker,
+        playerHit: playerHit,
+        pickup: pickup,
+        siren: siren,
+        jingle: jingle,
+        setTraffic: setTraffic,
+        setMusic: setMusic,
+        update: update
+    };
+}
@@ -0,0 +1,61 @@
+// --- BARRICADE TYPES ---
+// What the player can put down on the road. Each type takes up `cost` of the
+// round's barricade slots (maxBarricades) and wears out after `hp` vehicles.
+// Footprints are on the XZ plane with `width` across the lane and `depth`
+// along it; placed barricades face the traffic of the lane they snap to.
+//
+//   effect  what a vehicle running into it does:
+//     crash    it crashes (scored like a barricade crash has always been)
+//     deflect  it swerves round and heads back the way it came
+//     skid     it slides across into the oncoming lane
+//     stall    it stops dead and stays put, for the traffic behind to hit
+//
+// Types are listed in the order the number keys select them.
+
+import { roadAt } from './map.js';
+
+export const BARRICADE_TYPES = {
+    barrier: { label: 'Barrier', cost: 1, hp: 1, width: 4, depth: 1.5, effect: 'crash' },
+    cones: { label: 'Cones', cost: 1, hp: 1, width: 4, depth: 1, effect: 'deflect' },
+    concrete: { label: 'Concrete', cost: 2, hp: 3, width: 4, depth: 1.5, effect: 'crash' },
+    oil: { label: 'Oil Slick', cost: 1, hp: 3, width: 5, depth: 4, effect: 'skid' },
+    spikes: { label: 'Spike Strip', cost: 2, hp: 2, width: 5, depth: 1, effect: 'stall' }
+};
+
+export const BARRICADE_KINDS = Object.keys(BARRICADE_TYPES);
+export const DEFAULT_BARRICADE = 'barrier'; // Also what replays recorded before types existed place
+
+// Where a barricade dropped at (x, z) by a player facing `heading` ends up:
+// centered on the nearest lane of the road underneath and turned across it.
+// At a junction the road the player faces along wins. Off the road it stays
+// at the player's feet, turned like the old barricades were.
+// Returns { x, z, heading }.
+export function barricadePlacement(map, x, z, heading) {
+    const facing = Math.abs(Math.sin(heading)) > Math.abs(Math.cos(heading)) ? 'x' : 'z';
+    const road = roadAt(map, x, z, facing) || roadAt(map, x, z, facing === 'x' ? 'z' : 'x');
+    if (!road) return { x: x, z: z, heading: 0 };
+
+    const across = road.axis === 'x' ? z : x;
+    const lane = road.at + (across >= road.at ? 1 : -1) * road.width / 4;
+    return road.axis === 'x'
+        ? { x: x, z: lane, heading: Math.PI / 2 }
+        : { x: lane, z: z, heading: 0 };
+}
+
+export function slotsUsed(barricades) {
+    return barricades.reduce((sum, b) => sum + BARRICADE_TYPES[b.kind].cost, 0);
+}
+
+// How many of the oldest barricades have to make way for a new one of
+// `kind`, or -1 if it doesn't fit in the slots at all
+export function barricadesToClear(barricades, kind, maxSlots) {
+    const cost = BARRICADE_TYPES[kind].cost;
+    if (cost > maxSlots) return -1;
+    let used = slotsUsed(barricades);
+    let count = 0;
+    while (used + cost > maxSlots) {
+        used -= BARRICADE_TYPES[barricades[count].kind].cost;
+        count++;
+    }
+    return count;
+}
@@ -0,0 +1,110 @@
+// --- CAMERA CONTROLLER ---
+// Where the main camera looks, from how far and from which side. Nothing here
+// touches THREE: the renderer (main.js) places its camera from pose() every
+// frame and layers screen shake on top.
+//
+// The camera looks down at a fixed angle at the ground point (x, 0, z), from
+// CAMERA_HEIGHT / zoom up and CAMERA_BACK / zoom back. `rotation` is in
+// quarter turns: 0 looks north (toward -Z), 1 looks west, 2 south, 3 east.
+// In follow mode the view eases toward the player at the same pace whatever
+// the frame rate.
+
+export const CAMERA_HEIGHT = 95;
+export const CAMERA_BACK = 45;
+export const MIN_ZOOM = 0.6;
+export const MAX_ZOOM = 3;
+const FOLLOW_EASE = 0.1; // Share of the distance to the player closed per 1/60 s
+
+export function createCameraController() {
+    const view = {
+        x: 0,
+        z: 0,
+        zoom: 1,
+        rotation: 0,
+        follow: false
+    };
+    let bounds = null; // The view center stays inside these (the map's bounds)
+
+    function clamp() {
+        view.zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, view.zoom));
+        if (!bounds) return;
+        view.x = Math.min(bounds.maxX, Math.max(bounds.minX, view.x));
+        view.z = Math.min(bounds.maxZ, Math.max(bounds.minZ, view.z));
+    }
+
+    // New map: look at its center, zoomed out, facing north
+    function reset(mapBounds) {
+        bounds = mapBounds;
+        view.x = (bounds.minX + bounds.maxX) / 2;
+        view.z = (bounds.minZ + bounds.maxZ) / 2;
+        view.zoom = 1;
+        view.rotation = 0;
+        clamp();
+    }
+
+    // Moving the view by hand drops out of follow mode
+    function panBy(dx, dz) {
+        view.follow = false;
+        view.x += dx;
+        view.z += dz;
+        clamp();
+    }
+
+    function zoomBy(factor) {
+        view.zoom *= factor;
+        clamp();
+    }
+
+    // +1 turns the view 90 degrees to the left (north -> west), -1 to the right
+    function rotate(quarterTurns) {
+        view.rotation = ((view.rotation + quarterTurns) % 4 + 4) % 4;
+    }
+
+    function setFollow(follow) {
+        view.follow = follow;
+    }
+
+    // `dt` is the time since the last update in seconds
+    function update(playerX, playerZ, dt) {
+        if (!view.follow) return;
+        const ease = 1 - Math.pow(1 - FOLLOW_EASE, dt * 60);
+        view.x += (playerX - view.x) * ease;
+        view.z += (playerZ - view.z) * ease;
+        clamp();
+    }
+
+    // Camera position and look-at point, written into `out`
+    function pose(out) {
+        const angle = view.rotation * Math.PI / 2;
+        const back = CAMERA_BACK / view.zoom;
+        out.x = view.x + Math.sin(angle) * back;
+        out.y = CAMERA_HEIGHT / view.zoom;
+        out.z = view.z + Math.cos(angle) * back;
+        out.targetX = view.x;
+        out.targetZ = view.z;
+        return out;
+    }
+
+    // Turns a screen-space direction (x right, y down) into a ground
+    // direction for the current rotation, written into `out` as { x, z }
+    function screenToWorld(screenX, screenY, out) {
+        const angle = view.rotation * Math.PI / 2;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        out.x = screenX * cos + screenY * sin;
+        out.z = -screenX * sin + screenY * cos;
+        return out;
+    }
+
+    return {
+        view: view,
+        reset: reset,
+        panBy: panBy,
+        zoomBy: zoomBy,
+        rotate: rotate,
+        setFollow: setFollow,
+        update: update,
+        pose: pose,
+        screenToWorld: screenToWorld
+    };
+}
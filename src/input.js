@@ -0,0 +1,154 @@
+// --- INPUT BINDINGS ---
+// Which keyboard keys and gamepad buttons drive each control. Keys are
+// KeyboardEvent.code values (layout independent), buttons are indices in the
+// browser's standard gamepad mapping. The left stick always moves the player.
+//
+// Players can remap every control; the bindings are saved in localStorage.
+
+const BINDINGS_KEY = 'crash-junction:bindings';
+
+// In the order the settings panel lists them
+export const CONTROLS = [
+    { id: 'moveUp', label: 'Move up' },
+    { id: 'moveDown', label: 'Move down' },
+    { id: 'moveLeft', label: 'Move left' },
+    { id: 'moveRight', label: 'Move right' },
+    { id: 'barricade', label: 'Place barricade' },
+    { id: 'nextBarricade', label: 'Next barricade type' },
+    { id: 'selectBarrier', label: 'Select barrier' },
+    { id: 'selectCones', label: 'Select cones' },
+    { id: 'selectConcrete', label: 'Select concrete' },
+    { id: 'selectOil', label: 'Select oil slick' },
+    { id: 'selectSpikes', label: 'Select spike strip' },
+    { id: 'cursorUp', label: 'Tile cursor up' },
+    { id: 'cursorDown', label: 'Tile cursor down' },
+    { id: 'cursorLeft', label: 'Tile cursor left' },
+    { id: 'cursorRight', label: 'Tile cursor right' },
+    { id: 'cycleTile', label: 'Cycle selected tile' },
+    { id: 'cycleSignal', label: "Cycle selected tile's signal" },
+    { id: 'rotateLeft', label: 'Rotate view left' },
+    { id: 'rotateRight', label: 'Rotate view right' },
+    { id: 'toggleFollow', label: 'Follow player on/off' },
+    { id: 'toggleMute', label: 'Mute on/off' },
+    { id: 'pause', label: 'Pause' }
+];
+
+// button: null = no gamepad button
+export const DEFAULT_BINDINGS = {
+    moveUp: { keys: ['KeyW', 'ArrowUp'], button: null },
+    moveDown: { keys: ['KeyS', 'ArrowDown'], button: null },
+    moveLeft: { keys: ['KeyA', 'ArrowLeft'], button: null },
+    moveRight: { keys: ['KeyD', 'ArrowRight'], button: null },
+    barricade: { keys: ['KeyE'], button: 2 },
+    nextBarricade: { keys: ['KeyB'], button: 1 },
+    selectBarrier: { keys: ['Digit1'], button: null },
+    selectCones: { keys: ['Digit2'], button: null },
+    selectConcrete: { keys: ['Digit3'], button: null },
+    selectOil: { keys: ['Digit4'], button: null },
+    selectSpikes: { keys: ['Digit5'], button: null },
+    cursorUp: { keys: ['KeyI'], button: 12 },
+    cursorDown: { keys: ['KeyK'], button: 13 },
+    cursorLeft: { keys: ['KeyJ'], button: 14 },
+    cursorRight: { keys: ['KeyL'], button: 15 },
+    cycleTile: { keys: ['Space'], button: 0 },
+    cycleSignal: { keys: ['KeyF'], button: 3 },
+    rotateLeft: { keys: ['KeyQ'], button: 4 },
+    rotateRight: { keys: ['KeyR'], button: 5 },
+    toggleFollow: { keys: ['KeyC'], button: 11 },
+    toggleMute: { keys: ['KeyM'], button: null },
+    pause: { keys: ['Escape', 'KeyP'], button: 9 }
+};
+
+// Standard mapping names (Xbox layout)
+const BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3',
+    'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right', 'Home'
+];
+
+const KEY_NAMES = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Space: 'Space'
+};
+
+export function defaultBindings() {
+    const bindings = {};
+    CONTROLS.forEach(control => {
+        const binding = DEFAULT_BINDINGS[control.id];
+        bindings[control.id] = { keys: binding.keys.slice(), button: binding.button };
+    });
+    return bindings;
+}
+
+// Saved bindings over the defaults; controls added since they were saved keep
+// their defaults, and anything malformed is ignored.
+export function loadBindings(storage = globalThis.localStorage) {
+    const bindings = defaultBindings();
+    try {
+        const data = JSON.parse(storage.getItem(BINDINGS_KEY));
+        if (data) {
+            CONTROLS.forEach(control => {
+                const saved = data[control.id];
+                if (!saved) return;
+                if (Array.isArray(saved.keys) && saved.keys.every(key => typeof key === 'string')) {
+                    bindings[control.id].keys = saved.keys;
+                }
+                if (saved.button === null || Number.isInteger(saved.button)) {
+                    bindings[control.id].button = saved.button;
+                }
+            });
+        }
+    } catch (e) {
+        // Missing or corrupt bindings fall back to the defaults
+    }
+    return bindings;
+}
+
+export function saveBindings(bindings, storage = globalThis.localStorage) {
+    try {
+        storage.setItem(BINDINGS_KEY, JSON.stringify(bindings));
+    } catch (e) {
+        // Storage can be unavailable (private mode, quota); bindings just won't persist
+    }
+}
+
+export function controlForKey(bindings, code) {
+    const control = CONTROLS.find(c => bindings[c.id].keys.includes(code));
+    return control ? control.id : null;
+}
+
+export function controlForButton(bindings, button) {
+    const control = CONTROLS.find(c => bindings[c.id].button === button);
+    return control ? control.id : null;
+}
+
+// Makes `code` the only key for `controlId`, taking it away from any other control
+export function bindKey(bindings, controlId, code) {
+    CONTROLS.forEach(control => {
+        const keys = bindings[control.id].keys;
+        if (keys.includes(code)) keys.splice(keys.indexOf(code), 1);
+    });
+    bindings[controlId].keys = [code];
+}
+
+// Same for a gamepad button
+export function bindButton(bindings, controlId, button) {
+    CONTROLS.forEach(control => {
+        if (bindings[control.id].button === button) bindings[control.id].button = null;
+    });
+    bindings[controlId].button = button;
+}
+
+export function keyLabel(code) {
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    return code;
+}
+
+export function buttonLabel(button) {
+    if (button === null) return '—';
+    return BUTTON_NAMES[button] ?? `Button ${button}`;
+}
@@ -0,0 +1,144 @@
+// --- LEADERBOARD ---
+// Local high scores, saved in localStorage. Every finished round adds an
+// entry to its board: one board per campaign stage and one per free-play map.
+// Boards keep their best MAX_ENTRIES; the top entry is the personal best.
+//
+// Entry: { initials, score, date (ISO string), crashes, hp, mode, board }
+//   mode   'campaign' or 'free'
+//   board  board key, see boardKey()
+//
+// Exported files are { version, entries }; importing merges them into the
+// local boards so scores from several machines can be combined.
+
+export const LEADERBOARD_VERSION = 1;
+export const MAX_ENTRIES = 10;
+const LEADERBOARD_KEY = 'crash-junction:leaderboard';
+const INITIALS_KEY = 'crash-junction:initials';
+
+export function boardKey(round) {
+    return round.stage !== null ? `stage-${round.stage}` : `free-${round.mapId}`;
+}
+
+// Up to three letters or digits, upper case
+export function cleanInitials(text) {
+    const cleaned = String(text).toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3);
+    return cleaned || 'AAA';
+}
+
+function isValidEntry(e) {
+    return e && typeof e.initials === 'string' && Number.isInteger(e.score) &&
+        typeof e.date === 'string' && Number.isInteger(e.crashes) && Number.isInteger(e.hp) &&
+        (e.mode === 'campaign' || e.mode === 'free') && typeof e.board === 'string';
+}
+
+// Best first; ties go to the earlier run
+function compareEntries(a, b) {
+    return b.score - a.score || (a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+}
+
+function entryId(e) {
+    return `${e.board}|${e.initials}|${e.score}|${e.date}`;
+}
+
+// Sorts every board and drops what falls off the bottom
+function trimBoards(entries) {
+    const kept = [];
+    const perBoard = {};
+    entries.slice().sort(compareEntries).forEach(e => {
+        perBoard[e.board] = (perBoard[e.board] || 0) + 1;
+        if (perBoard[e.board] <= MAX_ENTRIES) kept.push(e);
+    });
+    return kept;
+}
+
+export function loadLeaderboard(storage = globalThis.localStorage) {
+    try {
+        const data = JSON.parse(storage.getItem(LEADERBOARD_KEY));
+        if (data && Array.isArray(data.entries)) {
+            return { version: LEADERBOARD_VERSION, entries: data.entries.filter(isValidEntry) };
+        }
+    } catch (e) {
+        // Missing or corrupt scores start an empty board
+    }
+    return { version: LEADERBOARD_VERSION, entries: [] };
+}
+
+export function saveLeaderboard(leaderboard, storage = globalThis.localStorage) {
+    try {
+        storage.setItem(LEADERBOARD_KEY, JSON.stringify(leaderboard));
+    } catch (e) {
+        // Storage can be unavailable (private mode, quota); scores just won't persist
+    }
+}
+
+export function loadInitials(storage = globalThis.localStorage) {
+    try {
+        return cleanInitials(storage.getItem(INITIALS_KEY) || '');
+    } catch (e) {
+        return 'AAA';
+    }
+}
+
+export function saveInitials(initials, storage = globalThis.localStorage) {
+    try {
+        storage.setItem(INITIALS_KEY, initials);
+    } catch (e) {
+        // See saveLeaderboard
+    }
+}
+
+// Adds an entry; returns its rank on its board (0 = new personal best), or
+// -1 if it didn't make the board.
+export function addEntry(leaderboard, entry) {
+    leaderboard.entries = trimBoards(leaderboard.entries.concat([entry]));
+    return boardEntries(leaderboard, entry.board).indexOf(entry);
+}
+
+// A board's entries, best first
+export function boardEntries(leaderboard, board) {
+    return leaderboard.entries.filter(e => e.board === board);
+}
+
+export function personalBest(leaderboard, board) {
+    return boardEntries(leaderboard, board)[0] || null;
+}
+
+export function serializeLeaderboard(leaderboard) {
+    return JSON.stringify(leaderboard);
+}
+
+// Parses and sanity-checks an exported board; throws with a readable message.
+export function parseLeaderboard(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Score file is not valid JSON');
+    }
+    if (!data || data.version !== LEADERBOARD_VERSION) {
+        throw new Error(`Unsupported score file version: ${data && data.version}`);
+    }
+    if (!Array.isArray(data.entries)) {
+        throw new Error('Score file has no entry list');
+    }
+    data.entries.forEach((e, idx) => {
+        if (!isValidEntry(e)) throw new Error(`Score entry ${idx} is invalid`);
+    });
+    return data;
+}
+
+// Adds `other`'s entries to `leaderboard`, skipping ones it already has
+// (importing the same file twice changes nothing) and any that are malformed.
+// Returns how many were new.
+export function mergeLeaderboards(leaderboard, other) {
+    const known = new Set(leaderboard.entries.map(entryId));
+    const added = other.entries.filter(e => {
+        if (!isValidEntry(e)) return false;
+        const id = entryId(e);
+        if (known.has(id)) return false;
+        known.add(id);
+        return true;
+    });
+    leaderboard.entries = trimBoards(leaderboard.entries.concat(added));
+    return added.length;
+}
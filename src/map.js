@@ -0,0 +1,209 @@
+// --- MAP DEFINITIONS ---
+// A map is plain JSON describing the road network. Everything else the game
+// needs (intersection footprints, lane centers, tile slots, crosswalks, spawn
+// points and play-area bounds) is derived here so the rest of the code never has to
+// assume a particular layout.
+//
+// {
+//   "name": "Downtown 2x2",
+//   "tileOffset": 15,            // distance of a direction tile before the junction center
+//   "spawnMargin": 10,           // how far past the road end cars appear
+//   "playerStart": { "x": 0, "z": 0 },
+//   "roads": [
+//     // axis: the axis cars travel along ('x' = horizontal road, 'z' = vertical road)
+//     // at: the fixed coordinate of the road center line (z for 'x' roads, x for 'z' roads)
+//     // center/length: extent along the travel axis (center defaults to 0)
+//     { "id": "top", "axis": "x", "at": -20, "width": 24, "length": 120 }
+//   ],
+//   "intersections": [
+//     // roads: one horizontal and one vertical road id
+//     // tiles: approaches that get a direction tile (defaults to all four). An entry
+//     // can also be { "approach": "fromSouth", "direction": "left" } to start turned,
+//     // e.g. the stem of a T-junction where going straight leads nowhere.
+//     { "roads": ["top", "left"], "tiles": ["fromNorth", "fromWest"] }
+//   ],
+//   "spawners": [
+//     // dir: +1 / -1 along the road axis; at: optional spawn coordinate along the axis
+//     { "road": "left", "dir": 1 }
+//   ]
+// }
+
+export const APPROACH_DIRS = ['fromNorth', 'fromSouth', 'fromWest', 'fromEast'];
+
+const DEFAULT_TILE_OFFSET = 15;
+const DEFAULT_SPAWN_MARGIN = 10;
+export const CROSSWALK_DEPTH = 3; // Along the road, just inside the junction's edge
+
+// Cars drive on the left. Returns the offset of the lane center from the
+// road center line for a car moving along `axis` in direction `dir`.
+// Moving +Z the driver's left is +X, moving +X the driver's left is -Z
+// (see headingFor in src/traffic.js).
+export function laneOffset(axis, dir, roadWidth) {
+    return axis === 'z' ? dir * roadWidth / 4 : -dir * roadWidth / 4;
+}
+
+export function parseMap(def) {
+    if (!def || !Array.isArray(def.roads) || def.roads.length === 0) {
+        throw new Error('Map definition needs at least one road');
+    }
+
+    const spawnMargin = def.spawnMargin ?? DEFAULT_SPAWN_MARGIN;
+
+    // --- Roads ---
+    const roadsById = new Map();
+    const roads = def.roads.map(r => {
+        if (r.axis !== 'x' && r.axis !== 'z') {
+            throw new Error(`Road "${r.id}" has invalid axis "${r.axis}"`);
+        }
+        if (roadsById.has(r.id)) {
+            throw new Error(`Duplicate road id "${r.id}"`);
+        }
+        const center = r.center ?? 0;
+        const road = {
+            id: r.id,
+            axis: r.axis,
+            at: r.at,
+            width: r.width,
+            length: r.length,
+            center: center,
+            min: center - r.length / 2,
+            max: center + r.length / 2
+        };
+        roadsById.set(r.id, road);
+        return road;
+    });
+
+    function getRoad(id, context) {
+        const road = roadsById.get(id);
+        if (!road) throw new Error(`${context} references unknown road "${id}"`);
+        return road;
+    }
+
+    // --- Intersections ---
+    // Intersections are rectangles: the vertical road's width along X and
+    // the horizontal road's width along Z.
+    const intersections = (def.intersections || []).map((i, idx) => {
+        const pair = (i.roads || []).map(id => getRoad(id, `Intersection ${idx}`));
+        const roadX = pair.find(r => r.axis === 'x');
+        const roadZ = pair.find(r => r.axis === 'z');
+        if (pair.length !== 2 || !roadX || !roadZ) {
+            throw new Error(`Intersection ${idx} must join one horizontal and one vertical road`);
+        }
+        const tiles = (i.tiles || APPROACH_DIRS).map(t => {
+            const tile = typeof t === 'string'
+                ? { approach: t, direction: 'straight' }
+                : { approach: t.approach, direction: t.direction || 'straight' };
+            if (!APPROACH_DIRS.includes(tile.approach)) {
+                throw new Error(`Intersection ${idx} has invalid tile approach "${tile.approach}"`);
+            }
+            return tile;
+        });
+        const x = roadZ.at;
+        const z = roadX.at;
+        return {
+            x: x,
+            z: z,
+            widthX: roadZ.width,
+            widthZ: roadX.width,
+            tiles: tiles,
+            // Approaches a road actually leads in from (a T-junction has three)
+            approaches: APPROACH_DIRS.filter(a => {
+                switch (a) {
+                    case 'fromNorth': return roadZ.min < z - roadX.width / 2;
+                    case 'fromSouth': return roadZ.max > z + roadX.width / 2;
+                    case 'fromWest': return roadX.min < x - roadZ.width / 2;
+                    case 'fromEast': return roadX.max > x + roadZ.width / 2;
+                }
+                return false;
+            })
+        };
+    });
+
+    // --- Crosswalks ---
+    // One across the mouth of every road leading into a junction, inside the
+    // junction's edge (cars waiting at a red light stay clear of it).
+    // Pedestrians walk along `crossAxis` from one side of the road to the
+    // other: `halfSpan` either side of the center.
+    const crosswalks = [];
+    intersections.forEach(center => {
+        center.approaches.forEach(approach => {
+            const vertical = approach === 'fromNorth' || approach === 'fromSouth';
+            const side = approach === 'fromNorth' || approach === 'fromWest' ? -1 : 1;
+            crosswalks.push(vertical
+                ? {
+                    x: center.x,
+                    z: center.z + side * (center.widthZ - CROSSWALK_DEPTH) / 2,
+                    crossAxis: 'x',
+                    halfSpan: center.widthX / 2
+                }
+                : {
+                    x: center.x + side * (center.widthX - CROSSWALK_DEPTH) / 2,
+                    z: center.z,
+                    crossAxis: 'z',
+                    halfSpan: center.widthZ / 2
+                });
+        });
+    });
+
+    // --- Spawners ---
+    const spawners = (def.spawners || []).map((s, idx) => {
+        const road = getRoad(s.road, `Spawner ${idx}`);
+        if (s.dir !== 1 && s.dir !== -1) {
+            throw new Error(`Spawner ${idx} has invalid dir "${s.dir}"`);
+        }
+        // Default: just past the end of the road the car drives in from
+        const along = s.at ?? road.center - s.dir * (road.length / 2 + spawnMargin);
+        const lane = road.at + laneOffset(road.axis, s.dir, road.width);
+        return {
+            x: road.axis === 'x' ? along : lane,
+            z: road.axis === 'x' ? lane : along,
+            moveAxis: road.axis,
+            dir: s.dir,
+            road: road.id
+        };
+    });
+
+    // --- Bounds ---
+    // Play area: every road plus the spawn margin at each end.
+    const bounds = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity };
+    roads.forEach(r => {
+        const [minX, maxX, minZ, maxZ] = r.axis === 'x'
+            ? [r.min - spawnMargin, r.max + spawnMargin, r.at - r.width / 2, r.at + r.width / 2]
+            : [r.at - r.width / 2, r.at + r.width / 2, r.min - spawnMargin, r.max + spawnMargin];
+        bounds.minX = Math.min(bounds.minX, minX);
+        bounds.maxX = Math.max(bounds.maxX, maxX);
+        bounds.minZ = Math.min(bounds.minZ, minZ);
+        bounds.maxZ = Math.max(bounds.maxZ, maxZ);
+    });
+    spawners.forEach(s => {
+        bounds.minX = Math.min(bounds.minX, s.x);
+        bounds.maxX = Math.max(bounds.maxX, s.x);
+        bounds.minZ = Math.min(bounds.minZ, s.z);
+        bounds.maxZ = Math.max(bounds.maxZ, s.z);
+    });
+
+    return {
+        name: def.name || 'Untitled',
+        tileOffset: def.tileOffset ?? DEFAULT_TILE_OFFSET,
+        playerStart: def.playerStart || { x: 0, z: 0 },
+        roads: roads,
+        intersections: intersections,
+        crosswalks: crosswalks,
+        spawners: spawners,
+        bounds: bounds
+    };
+}
+
+// The road running along `axis` under a point, or null
+export function roadAt(map, x, z, axis) {
+    const along = axis === 'x' ? x : z;
+    const across = axis === 'x' ? z : x;
+    return map.roads.find(r => r.axis === axis &&
+        along >= r.min && along <= r.max && Math.abs(across - r.at) <= r.width / 2) || null;
+}
+
+// True once a position has left the play area by more than `margin` units.
+export function isOutOfBounds(map, x, z, margin = 10) {
+    const b = map.bounds;
+    return x < b.minX - margin || x > b.maxX + margin || z < b.minZ - margin || z > b.maxZ + margin;
+}
@@ -0,0 +1,56 @@
+// --- PICKUPS ---
+// Power-ups that turn up on the road network. The player collects one by
+// walking into it; one left lying around too long disappears.
+//
+//   weight   relative spawn chance
+//   seconds  how long a timed effect lasts (instant effects have none)
+//   label    name shown in the HUD and when collected
+//
+//   barricade  one barricade past the limit before the oldest has to make way
+//   heal       one heart back, up to MAX_HP
+//   shield     traffic can't hurt the player
+//   doubler    crashes score double
+//   freeze     all traffic stops where it is
+
+export const PICKUP_TYPES = {
+    barricade: { weight: 3, label: 'Barricade' },
+    heal: { weight: 2, label: 'Heal' },
+    shield: { weight: 2, seconds: 6, label: 'Shield' },
+    doubler: { weight: 2, seconds: 8, label: 'Double Score' },
+    freeze: { weight: 1, seconds: 4, label: 'Freeze' }
+};
+
+// Timed pickups, in the order the HUD lists their effects
+export const TIMED_PICKUPS = Object.keys(PICKUP_TYPES).filter(id => PICKUP_TYPES[id].seconds);
+
+const TYPE_IDS = Object.keys(PICKUP_TYPES);
+const TOTAL_WEIGHT = TYPE_IDS.reduce((sum, id) => sum + PICKUP_TYPES[id].weight, 0);
+const INTERSECTION_CHANCE = 0.25; // Otherwise somewhere along a road
+const ROAD_END_MARGIN = 10; // Keep clear of the map edge, where cars spawn
+
+// Picks a type id by spawn weight; `rng` is a seeded random()
+export function pickPickupType(rng) {
+    let roll = rng() * TOTAL_WEIGHT;
+    for (const id of TYPE_IDS) {
+        roll -= PICKUP_TYPES[id].weight;
+        if (roll < 0) return id;
+    }
+    return TYPE_IDS[TYPE_IDS.length - 1];
+}
+
+// A random spot on the road network: the middle of a junction, or a lane
+// somewhere along a road (longer roads come up more often). Returns { x, z }.
+export function pickPickupSpot(map, rng) {
+    if (map.intersections.length > 0 && rng() < INTERSECTION_CHANCE) {
+        const center = map.intersections[Math.floor(rng() * map.intersections.length)];
+        return { x: center.x, z: center.z };
+    }
+
+    const totalLength = map.roads.reduce((sum, r) => sum + r.length, 0);
+    let roll = rng() * totalLength;
+    const road = map.roads.find(r => (roll -= r.length) < 0) || map.roads[map.roads.length - 1];
+    const margin = Math.min(ROAD_END_MARGIN, road.length / 4);
+    const along = road.min + margin + rng() * (road.length - 2 * margin);
+    const across = road.at + (rng() - 0.5) * road.width / 2;
+    return road.axis === 'x' ? { x: along, z: across } : { x: across, z: along };
+}
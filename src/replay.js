@@ -0,0 +1,91 @@
+// --- REPLAYS ---
+// A replay is the seed, the map, the campaign stage (null in free play) and
+// every player action stamped with the simulation tick it was applied on.
+// Because the simulation is deterministic that is all it takes to reproduce
+// a run exactly.
+//
+// Runs started from a shared setup (src/snapshot.js) don't begin at the
+// seed's opening state: their `start` holds the simulation snapshot they
+// began from, and playback restores it before the first action.
+//
+// Actions:
+//   { tick, type: 'cycleTile', tile }   tile = index into the direction tiles
+//   { tick, type: 'cycleSignal', signal } signal = index into the traffic signals
+//   { tick, type: 'move', x, z }        click-to-move target
+//   { tick, type: 'steer', x, z }       held keyboard/gamepad direction (0, 0 = released)
+//   { tick, type: 'barricade', kind }   barricade dropped at the player's feet; kind:
+//                                       see src/barricades.js (missing = 'barrier')
+
+export const REPLAY_VERSION = 1;
+const ACTION_TYPES = ['cycleTile', 'cycleSignal', 'move', 'steer', 'barricade'];
+
+export function createReplay(seed, mapId, stage = null, start = null) {
+    return {
+        version: REPLAY_VERSION,
+        seed: seed,
+        mapId: mapId,
+        stage: stage,
+        start: start,
+        actions: [],
+        endTick: 0
+    };
+}
+
+export function recordAction(replay, tick, action) {
+    replay.actions.push({ tick: tick, ...action });
+}
+
+// Applies every action stamped with `tick`, starting at `cursor`.
+// Actions are stored in tick order, so the returned cursor is where the
+// next tick picks up.
+export function applyActionsForTick(replay, cursor, tick, apply) {
+    while (cursor < replay.actions.length && replay.actions[cursor].tick <= tick) {
+        if (replay.actions[cursor].tick === tick) apply(replay.actions[cursor]);
+        cursor++;
+    }
+    return cursor;
+}
+
+export function serializeReplay(replay) {
+    return JSON.stringify(replay);
+}
+
+// Parses and sanity-checks a replay file; throws with a readable message.
+export function parseReplay(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Replay file is not valid JSON');
+    }
+    return validateReplay(data);
+}
+
+// Checks already-parsed replay data (e.g. one embedded in a save snapshot)
+export function validateReplay(data) {
+    if (!data || data.version !== REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version: ${data && data.version}`);
+    }
+    if (!Number.isInteger(data.seed) || typeof data.mapId !== 'string' || !Number.isInteger(data.endTick)) {
+        throw new Error('Replay is missing its seed, map or length');
+    }
+    if (data.stage === undefined) data.stage = null; // Recorded before stages existed
+    if (data.stage !== null && !Number.isInteger(data.stage)) {
+        throw new Error('Replay has an invalid stage');
+    }
+    if (data.start === undefined) data.start = null; // Recorded before setups existed
+    if (data.start !== null && (typeof data.start !== 'object' || !Number.isInteger(data.start.state && data.start.state.tick))) {
+        throw new Error('Replay has an invalid starting setup');
+    }
+    if (!Array.isArray(data.actions)) {
+        throw new Error('Replay has no action list');
+    }
+    let lastTick = 0;
+    data.actions.forEach((a, idx) => {
+        if (!ACTION_TYPES.includes(a.type) || !Number.isInteger(a.tick) || a.tick < lastTick) {
+            throw new Error(`Replay action ${idx} is invalid`);
+        }
+        lastTick = a.tick;
+    });
+    return data;
+}
@@ -0,0 +1,34 @@
+// --- SEEDED RANDOM NUMBERS ---
+// Mulberry32: tiny, fast and good enough for gameplay. Every source of
+// randomness that affects a run goes through one of these so the same seed
+// and the same inputs always replay the same way.
+
+// Returns a function that behaves like Math.random() but is driven by `seed`.
+// Its getState() is the stream's current position: createRng(getState())
+// carries on exactly where the stream was (used by save snapshots).
+export function createRng(seed) {
+    let state = seed >>> 0;
+    function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    random.getState = () => state;
+    return random;
+}
+
+// A fresh seed for runs that don't ask for a specific one.
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Derives an independent stream from a seed (e.g. cosmetic effects), so
+// drawing from one stream never shifts the numbers another one sees.
+export function deriveSeed(seed, salt) {
+    let h = (seed ^ Math.imul(salt, 0x9E3779B1)) >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    return (h ^ (h >>> 16)) >>> 0;
+}
@@ -0,0 +1,183 @@
+// --- SPAWN SCHEDULE ---
+// When, where and what traffic spawns over a round, as a timeline. Without a
+// schedule of its own a round spawns a car from a random spawner with the
+// standard mix every `spawnInterval` seconds.
+//
+// Schedule (a stage's "schedule"; every field is optional):
+//   { "interval": 0.8,                       seconds between base spawns (default
+//                                            the round's spawnInterval)
+//     "weights": [{ "road": "bottom", "weight": 3 }, { "road": "left", "dir": -1, "weight": 0 }],
+//                                            spawner weights (unlisted spawners weigh 1)
+//     "mix": { "sedan": 6, "bus": 1 },       vehicle type weights (default the
+//                                            types' own, see src/vehicles.js)
+//     "phases": [ ... ] }
+//
+// Spawners are picked by road id, optionally narrowed to one direction
+// ("dir": 1 or -1); later weight entries override earlier ones.
+//
+// Phases, in seconds since the round started ("from" inclusive, "to" exclusive):
+//   { "type": "rush", "from": 30, "to": 40, "interval": 0.3,
+//     "spawners": [{ "road": "bottom" }], "mix": { ... } }
+//       extra traffic on its own interval, from the listed spawners (default
+//       all of them, evenly) with its own mix (default the schedule's)
+//   { "type": "lull", "from": 50, "to": 55 }
+//       no base traffic; rushes and convoys still run
+//   { "type": "convoy", "at": 20, "spawner": { "road": "left", "dir": 1 },
+//     "count": 5, "vehicle": "truck" }
+//       cars one after another down one lane, each as soon as the one before
+//       has cleared the spawn point; without "vehicle" each is from the mix
+//
+// Nothing ever spawns on top of a car still sitting at the spawn point: a
+// blocked base or rush spawn is skipped, a blocked convoy car waits.
+
+import { VEHICLE_TYPES } from './vehicles.js';
+
+const PHASE_TYPES = ['rush', 'lull', 'convoy'];
+
+// Checks a schedule from stage data; throws on anything malformed. Roads are
+// only known once there's a map, see resolveSchedule().
+export function parseSchedule(def) {
+    if (typeof def !== 'object' || def === null) throw new Error('Schedule must be an object');
+    if (def.interval !== undefined) checkSeconds(def.interval, 'Schedule interval', false);
+    (def.weights || []).forEach((entry, idx) => {
+        checkSelector(entry, `Schedule weight ${idx + 1}`);
+        if (typeof entry.weight !== 'number' || entry.weight < 0) {
+            throw new Error(`Schedule weight ${idx + 1} needs a weight of 0 or more`);
+        }
+    });
+    if (def.mix !== undefined) checkMix(def.mix, 'Schedule mix');
+
+    (def.phases || []).forEach((phase, idx) => {
+        const context = `Schedule phase ${idx + 1}`;
+        if (!PHASE_TYPES.includes(phase.type)) throw new Error(`${context} has unknown type "${phase.type}"`);
+        if (phase.type === 'convoy') {
+            checkSeconds(phase.at, `${context} "at"`, true);
+            checkSelector(phase.spawner || {}, context);
+            if (!Number.isInteger(phase.count) || phase.count < 1) {
+                throw new Error(`${context} needs a count of at least 1`);
+            }
+            if (phase.vehicle !== undefined && !VEHICLE_TYPES[phase.vehicle]) {
+                throw new Error(`${context} has unknown vehicle "${phase.vehicle}"`);
+            }
+            return;
+        }
+        checkSeconds(phase.from, `${context} "from"`, true);
+        checkSeconds(phase.to, `${context} "to"`, false);
+        if (phase.to <= phase.from) throw new Error(`${context} ends before it starts`);
+        if (phase.type === 'rush') {
+            checkSeconds(phase.interval, `${context} interval`, false);
+            (phase.spawners || []).forEach(selector => checkSelector(selector, context));
+            if (phase.mix !== undefined) checkMix(phase.mix, `${context} mix`);
+        }
+    });
+    return def;
+}
+
+function checkSeconds(value, context, zeroAllowed) {
+    if (typeof value !== 'number' || value < 0 || (!zeroAllowed && value === 0)) {
+        throw new Error(`${context} must be a number of seconds`);
+    }
+}
+
+function checkSelector(selector, context) {
+    if (typeof selector.road !== 'string') throw new Error(`${context} needs a road`);
+    if (selector.dir !== undefined && selector.dir !== 1 && selector.dir !== -1) {
+        throw new Error(`${context} has invalid dir "${selector.dir}"`);
+    }
+}
+
+function checkMix(mix, context) {
+    const ids = Object.keys(mix);
+    const unknown = ids.find(id => !VEHICLE_TYPES[id]);
+    if (unknown) throw new Error(`${context} has unknown vehicle "${unknown}"`);
+    if (!ids.some(id => mix[id] > 0) || ids.some(id => typeof mix[id] !== 'number' || mix[id] < 0)) {
+        throw new Error(`${context} needs weights of 0 or more, at least one above 0`);
+    }
+}
+
+// Turns a schedule (or null for the default one) into what the simulation
+// runs: times in ticks (`hz` per second) and spawner weights as arrays by
+// spawner index. Throws if the schedule names a road the map has no spawner on.
+export function resolveSchedule(def, map, spawnInterval, hz) {
+    const toTicks = seconds => Math.max(1, Math.round(seconds * hz));
+    const schedule = def || {};
+    const weights = map.spawners.map(() => 1);
+    (schedule.weights || []).forEach(entry => {
+        matchSpawners(map, entry).forEach(index => {
+            weights[index] = entry.weight;
+        });
+    });
+    const mix = schedule.mix || null;
+    const phases = schedule.phases || [];
+
+    return {
+        intervalTicks: toTicks(schedule.interval ?? spawnInterval),
+        weights: weights,
+        mix: mix,
+        rushes: phases.filter(p => p.type === 'rush').map(p => ({
+            fromTick: toTicks(p.from),
+            toTick: toTicks(p.to),
+            intervalTicks: toTicks(p.interval),
+            weights: p.spawners ? spawnerWeights(map, p.spawners) : map.spawners.map(() => 1),
+            mix: p.mix || mix
+        })),
+        lulls: phases.filter(p => p.type === 'lull').map(p => ({
+            fromTick: toTicks(p.from),
+            toTick: toTicks(p.to)
+        })),
+        convoys: phases.filter(p => p.type === 'convoy').map(p => {
+            const matches = matchSpawners(map, p.spawner);
+            return {
+                tick: toTicks(p.at),
+                spawner: matches[0],
+                count: p.count,
+                vehicle: p.vehicle ?? null
+            };
+        })
+    };
+}
+
+// Indices of the spawners a selector picks; throws if there are none
+function matchSpawners(map, selector) {
+    const matches = [];
+    map.spawners.forEach((spawner, index) => {
+        if (spawner.road === selector.road && (selector.dir === undefined || spawner.dir === selector.dir)) {
+            matches.push(index);
+        }
+    });
+    if (matches.length === 0) {
+        throw new Error(`Schedule names road "${selector.road}" but the map has no spawner there`);
+    }
+    return matches;
+}
+
+// Weight 1 for every spawner a selector in the list picks, 0 for the rest
+function spawnerWeights(map, selectors) {
+    const weights = map.spawners.map(() => 0);
+    selectors.forEach(selector => {
+        matchSpawners(map, selector).forEach(index => {
+            weights[index] = 1;
+        });
+    });
+    return weights;
+}
+
+export function isPhaseActive(phase, tick) {
+    return tick >= phase.fromTick && tick < phase.toTick;
+}
+
+// Picks an index by weight with one rng() call; -1 (and no call) if every
+// weight is 0
+export function pickWeighted(rng, weights) {
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    if (total === 0) return -1;
+    let roll = rng() * total;
+    let last = -1;
+    for (let i = 0; i < weights.length; i++) {
+        if (weights[i] === 0) continue;
+        roll -= weights[i];
+        if (roll < 0) return i;
+        last = i;
+    }
+    return last;
+}
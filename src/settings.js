@@ -0,0 +1,59 @@
+// --- PLAYER SETTINGS ---
+// Preferences from the pause menu, saved in localStorage. Control bindings
+// are kept separately, see src/input.js.
+//
+//   volume       master volume, 0 to 1
+//   sfxVolume    sound effects volume, 0 to 1
+//   musicVolume  music volume, 0 to 1
+//   muted        silences everything without touching the volumes
+//   shake        camera shake strength, 0 (off) to 1 (full)
+//   minimapSize  one of MINIMAP_SIZES
+
+const SETTINGS_KEY = 'crash-junction:settings';
+
+// Minimap edge length in CSS pixels (portrait screens scale it down)
+export const MINIMAP_SIZES = {
+    small: 140,
+    medium: 200,
+    large: 280
+};
+
+export const DEFAULT_SETTINGS = {
+    volume: 0.8,
+    sfxVolume: 1,
+    musicVolume: 0.5,
+    muted: false,
+    shake: 1,
+    minimapSize: 'medium'
+};
+
+function isUnitNumber(value) {
+    return typeof value === 'number' && value >= 0 && value <= 1;
+}
+
+// Saved settings over the defaults; anything malformed is ignored
+export function loadSettings(storage = globalThis.localStorage) {
+    const settings = { ...DEFAULT_SETTINGS };
+    try {
+        const data = JSON.parse(storage.getItem(SETTINGS_KEY));
+        if (data) {
+            if (isUnitNumber(data.volume)) settings.volume = data.volume;
+            if (isUnitNumber(data.sfxVolume)) settings.sfxVolume = data.sfxVolume;
+            if (isUnitNumber(data.musicVolume)) settings.musicVolume = data.musicVolume;
+            if (typeof data.muted === 'boolean') settings.muted = data.muted;
+            if (isUnitNumber(data.shake)) settings.shake = data.shake;
+            if (MINIMAP_SIZES[data.minimapSize]) settings.minimapSize = data.minimapSize;
+        }
+    } catch (e) {
+        // Missing or corrupt settings fall back to the defaults
+    }
+    return settings;
+}
+
+export function saveSettings(settings, storage = globalThis.localStorage) {
+    try {
+        storage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (e) {
+        // Storage can be unavailable (private mode, quota); settings just won't persist
+    }
+}
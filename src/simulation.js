@@ -0,0 +1,1133 @@
+// --- SIMULATION CORE ---
+// All game rules live here: spawning, pathing, rear-end avoidance, collisions,
+// scoring, the player, barricades, pickups and pedestrians. Nothing in this module touches THREE or
+// the DOM, so it runs the same in the browser and headless in Node.
+//
+// The renderer (main.js) owns one simulation, calls step() once per fixed
+// tick with that tick's player actions, and reacts to `sim.events`.
+//
+// Events emitted by step() (cleared at the start of every step):
+//   { type: 'spawn', vehicle }
+//   { type: 'vehicleRemoved', vehicle }
+//   { type: 'crash', x, z, points, vehicles, wrecked, multiplier, turns, blast }
+//                                                   two or more vehicles collided
+//   { type: 'barricadeCrash', x, z, points, vehicles, wrecked, multiplier, turns, blast }
+//                                                   a vehicle crashed into a barricade
+//   { type: 'barricadeTriggered', barricade, vehicle, effect }
+//                                                   cones, oil or spikes got a vehicle
+//   { type: 'vehicleDamaged', vehicle }             a vehicle survived a crash
+//   { type: 'playerHit', x, z }                     a vehicle ran the player over
+//   { type: 'barricadePlaced', barricade }
+//   { type: 'barricadeRemoved', barricade }
+//   { type: 'pickupSpawned', pickup }
+//   { type: 'pickupCollected', pickup }
+//   { type: 'pickupExpired', pickup }
+//   { type: 'pedestrianSpawned', pedestrian }
+//   { type: 'pedestrianCrossed', pedestrian }       made it to the other side
+//   { type: 'pedestrianHit', pedestrian, x, z, penalty }
+//                                                   a vehicle ran a pedestrian over
+//   { type: 'tileChanged', tile }
+//   { type: 'signalChanged', signal }
+//   { type: 'turn', vehicle, direction }            direction: 'right' | 'left' | 'uturn'
+//   { type: 'gameEnd', result }                     result: 'clear' | 'over'
+//
+// Scoring: every crash is worth CRASH_POINTS, plus PILEUP_POINTS for each car
+// past the first two, the type's points for each car wrecked and
+// ROUTING_POINTS for each tile turn the crashed cars took on the way. Crashes
+// less than COMBO_WINDOW_TICKS apart build a chain; the n-th crash of a chain
+// scores n times (capped at MAX_MULTIPLIER), and twice that while a score
+// doubler pickup is active. Every pedestrian run over costs the round's
+// pedestrian penalty (the score never drops below zero).
+
+import { createRng, deriveSeed } from './rng.js';
+import { VEHICLE_TYPES, pickVehicleType } from './vehicles.js';
+import { PICKUP_TYPES, TIMED_PICKUPS, pickPickupType, pickPickupSpot } from './pickups.js';
+import { resolveSchedule, isPhaseActive, pickWeighted } from './schedule.js';
+import { createSpatialHash } from './spatial.js';
+import { isOutOfBounds, roadAt } from './map.js';
+import { BARRICADE_TYPES, DEFAULT_BARRICADE, barricadePlacement, barricadesToClear } from './barricades.js';
+import {
+    getApproachDir,
+    findTileForApproach,
+    resolveTileDirection,
+    headingFor,
+    findNextIntersection,
+    SIGNAL_PHASES,
+    isSignalRed,
+    RANDOM_TILE_CHOICES,
+    planTurnPath,
+    advanceTurnPath,
+    turnPathPoint
+} from './traffic.js';
+
+// --- TUNING (all per tick) ---
+export const SIM_HZ = 60;
+export const MAX_HP = 3;
+export const PLAYER_SPEED = 0.18;
+export const TILE_CYCLE = ['straight', 'right', 'left']; // Default; rounds can allow more (options.tiles)
+const INVINCIBLE_TICKS = 120; // 2 seconds
+const CRASH_POINTS = 100;
+const PILEUP_POINTS = 150; // Per car past the first two
+const ROUTING_POINTS = 50; // Per tile turn taken by a wrecked car
+const COMBO_WINDOW_TICKS = 120; // 2 seconds to land the next crash
+const MAX_MULTIPLIER = 5;
+const CRASH_IMMUNE_TICKS = 45; // A damaged survivor drives clear of its wreck
+const BLINKER_DIST = 35; // Blinkers come on this far before a junction
+const FOLLOW_GAP = 1; // Distance kept to the car ahead
+const SAME_WAY_DOT = 0.5; // Cars heading within 60 degrees of each other queue instead of crashing
+const CELL_SIZE = 8; // Broadphase grid: about a lane wide, two cells per sedan
+const STOP_LINE_GAP = 0.5; // Cars wait this far short of a junction on red
+const BOOST_TICKS = 90; // How long a boost tile speeds a car up
+const BOOST_MULTIPLIER = 2;
+const SKID_TICKS = 30; // How long an oil slick takes to slide a car across
+const SKID_SLEW = 0.5; // Radians a skidding car is turned sideways
+const PICKUP_LIFETIME_TICKS = 720; // 12 seconds on the road before a pickup vanishes
+const PICKUP_SEED_SALT = 2; // Pickups roll on their own stream, so traffic is the same with or without them
+const PEDESTRIAN_SEED_SALT = 3; // Pedestrians too
+const PEDESTRIAN_SPEED = 0.05;
+const ESCORT_SPEED = 0.12; // Hurrying across with the player alongside
+const ESCORT_RADIUS = 4; // How close the player has to be to hold back or escort a pedestrian
+const CURB_WAIT_TICKS = 60; // A pedestrian looks both ways (badly) before stepping out
+const CURB_MARGIN = 1.5; // Pedestrians wait this far off the road's edge
+
+// What a car's blinkers show on the way into a junction with this tile.
+// 'hazard' flashes both sides, 'random' alternates between them.
+const TILE_BLINKERS = { right: 'right', left: 'left', uturn: 'left', stop: 'hazard', random: 'random' };
+
+// Footprints on the XZ plane (vehicles: see src/vehicles.js, barricades:
+// src/barricades.js)
+const PLAYER_SIZE = 2;
+const PICKUP_SIZE = 2.5;
+const PEDESTRIAN_SIZE = 1.2;
+
+// options:
+//   seed           RNG seed for the run (default 0)
+//   timeLimit      round length in seconds (default 60)
+//   targetScore    score needed to clear the round (default 2000)
+//   spawnInterval  seconds between spawns (default 0.8)
+//   schedule       spawn timeline: spawner weights, vehicle mix, rushes, lulls
+//                  and convoys (see src/schedule.js; default: spawnInterval
+//                  apart from any spawner)
+//   maxVehicles    no spawning while this many cars are on the road (default 60)
+//   maxBarricades  barricade slots; each type takes up its cost (default 3)
+//   tiles          tile kinds clicking a tile cycles through (default TILE_CYCLE,
+//                  see TILE_KINDS in src/traffic.js)
+//   stopSeconds    how long a stop tile holds a car (default 2)
+//   signalPhase    phase every traffic signal starts in (default 'off', see
+//                  SIGNAL_PHASES in src/traffic.js)
+//   pickupInterval seconds between pickups appearing (default 10, 0 = no pickups)
+//   maxPickups     no new pickups while this many are lying around (default 2)
+//   pedestrianInterval  seconds between pedestrians stepping up to a crosswalk
+//                  (default 4, 0 = no pedestrians)
+//   maxPedestrians no new pedestrians while this many are out (default 6)
+//   pedestrianPenalty   points lost for each pedestrian run over (default 250)
+//   pedestrianLimit     the round is over once this many have been run over
+//                  (default 0 = never)
+//   autoSpawn      spawn traffic on the regular interval (default true); turn it
+//                  off to place cars by hand with sim.spawnVehicle()
+export function createSimulation(map, options = {}) {
+    const config = {
+        timeLimit: options.timeLimit ?? 60,
+        targetScore: options.targetScore ?? 2000,
+        schedule: resolveSchedule(options.schedule ?? null, map, options.spawnInterval ?? 0.8, SIM_HZ),
+        maxVehicles: options.maxVehicles ?? 60,
+        maxBarricades: options.maxBarricades ?? 3,
+        tiles: options.tiles ?? TILE_CYCLE,
+        stopTicks: Math.round((options.stopSeconds ?? 2) * SIM_HZ),
+        signalPhase: options.signalPhase ?? 'off',
+        pickupIntervalTicks: Math.round((options.pickupInterval ?? 10) * SIM_HZ),
+        maxPickups: options.maxPickups ?? 2,
+        pedestrianIntervalTicks: Math.round((options.pedestrianInterval ?? 4) * SIM_HZ),
+        maxPedestrians: options.maxPedestrians ?? 6,
+        pedestrianPenalty: options.pedestrianPenalty ?? 250,
+        pedestrianLimit: options.pedestrianLimit ?? 0,
+        autoSpawn: options.autoSpawn ?? true
+    };
+
+    let rng = Math.random;
+    let pickupRng = Math.random;
+    let pedestrianRng = Math.random;
+    let nextId = 1;
+
+    // Broadphase: every vehicle is filed in a spatial hash under the bounds of
+    // its (turning) box, cached here until it moves again. Derived from state,
+    // so it lives outside it; reindexVehicles() rebuilds it.
+    const vehicleIndex = createSpatialHash(CELL_SIZE);
+    const boxCache = new Map(); // vehicle -> { box, bounds }
+
+    const sim = {
+        map: map,
+        config: config,
+        state: null,
+        events: [],
+        reset: reset,
+        step: step,
+        spawnVehicle: spawnVehicle,
+        snapshot: snapshot,
+        restore: restore
+    };
+
+    // Tile records in map order (intersection by intersection); tile actions
+    // address them by index.
+    function createTiles() {
+        const tiles = [];
+        map.intersections.forEach(center => {
+            center.tiles.forEach(tile => {
+                tiles.push({
+                    intersectionX: center.x,
+                    intersectionZ: center.z,
+                    approachDir: tile.approach,
+                    direction: tile.direction,
+                    initialDirection: tile.direction
+                });
+            });
+        });
+        return tiles;
+    }
+
+    // One signal per intersection, in map order; all start in the round's phase
+    function createSignals() {
+        return map.intersections.map(center => ({
+            intersectionX: center.x,
+            intersectionZ: center.z,
+            phase: config.signalPhase
+        }));
+    }
+
+    function createEffects() {
+        const effects = {};
+        TIMED_PICKUPS.forEach(id => {
+            effects[id] = 0;
+        });
+        return effects;
+    }
+
+    // Puts the whole game back to its opening state for the given seed
+    function reset(seed = 0) {
+        rng = createRng(seed);
+        pickupRng = createRng(deriveSeed(seed, PICKUP_SEED_SALT));
+        pedestrianRng = createRng(deriveSeed(seed, PEDESTRIAN_SEED_SALT));
+        nextId = 1;
+        sim.events = [];
+        sim.state = {
+            seed: seed >>> 0,
+            tick: 0,
+            score: 0,
+            crashes: 0, // Crashes scored this round (pileups count once)
+            targetScore: config.targetScore,
+            timeLeft: config.timeLimit,
+            gameState: 'playing', // 'playing', 'clear', 'over'
+            spawnCountdown: config.schedule.intervalTicks,
+            rushCountdowns: config.schedule.rushes.map(() => 0), // A rush spawns as soon as it starts
+            convoys: [], // Convoys still sending cars: { spawner, vehicle, left }
+            pickupCountdown: config.pickupIntervalTicks,
+            pedestrianCountdown: config.pedestrianIntervalTicks,
+            player: {
+                x: map.playerStart.x,
+                z: map.playerStart.z,
+                heading: 0,
+                hp: MAX_HP,
+                invincible: 0, // Invincibility ticks counter
+                target: null, // {x, z} click target
+                steer: { x: 0, z: 0 }, // Held direct-control input, length <= 1
+                walking: false
+            },
+            vehicles: [],
+            barricades: [],
+            barricadeCharges: 0, // Extra barricades from pickups, see placeBarricade()
+            pickups: [],
+            effects: createEffects(), // Ticks left on each timed pickup
+            pedestrians: [],
+            pedestriansHit: 0,
+            tiles: createTiles(),
+            signals: createSignals(),
+            combo: {
+                chain: 0, // Crashes in the current chain
+                multiplier: 1,
+                ticksLeft: 0 // Until the chain breaks
+            }
+        };
+        reindexVehicles();
+        return sim;
+    }
+
+    // --- SNAPSHOTS ---
+    // Everything needed to pick a round up mid-way: a deep copy of the state
+    // (plain data throughout) plus the RNG positions and the id counter, which
+    // live outside it. restore() of a snapshot continues exactly like the
+    // original run would have.
+    function snapshot() {
+        return {
+            state: JSON.parse(JSON.stringify(sim.state)),
+            rng: rng.getState(),
+            pickupRng: pickupRng.getState(),
+            pedestrianRng: pedestrianRng.getState(),
+            nextId: nextId
+        };
+    }
+
+    function restore(data) {
+        if (data.state.tiles.length !== createTiles().length || data.state.signals.length !== map.intersections.length) {
+            throw new Error('Snapshot does not match this map');
+        }
+        sim.state = JSON.parse(JSON.stringify(data.state));
+        rng = createRng(data.rng);
+        pickupRng = createRng(data.pickupRng);
+        pedestrianRng = createRng(data.pedestrianRng);
+        nextId = data.nextId;
+        sim.events = [];
+        reindexVehicles();
+        return sim;
+    }
+
+    // --- BROADPHASE ---
+    function reindexVehicles() {
+        vehicleIndex.clear();
+        boxCache.clear();
+        sim.state.vehicles.forEach(trackVehicle);
+    }
+
+    // Call whenever a vehicle has moved
+    function trackVehicle(v) {
+        const box = vehicleBox(v);
+        const bounds = boxBounds(box);
+        boxCache.set(v, { box: box, bounds: bounds });
+        vehicleIndex.update(v, bounds);
+    }
+
+    function untrackVehicle(v) {
+        vehicleIndex.remove(v);
+        boxCache.delete(v);
+    }
+
+    function cachedBox(v) {
+        return boxCache.get(v).box;
+    }
+
+    // Vehicles whose bounds share a grid cell with `bounds`, in spawn order so
+    // results don't depend on how the hash happened to be filled
+    function nearbyVehicles(bounds) {
+        return vehicleIndex.query(bounds).sort((a, b) => a.id - b.id);
+    }
+
+    function emit(event) {
+        sim.events.push(event);
+    }
+
+    // --- ACTIONS ---
+    function applyAction(action) {
+        const state = sim.state;
+        switch (action.type) {
+            case 'cycleTile': {
+                const tile = state.tiles[action.tile];
+                if (!tile) break;
+                // A tile the round doesn't allow (e.g. a map's starting
+                // direction) moves on to the first allowed one
+                const currentIdx = config.tiles.indexOf(tile.direction);
+                tile.direction = config.tiles[(currentIdx + 1) % config.tiles.length];
+                emit({ type: 'tileChanged', tile: tile });
+                break;
+            }
+            case 'cycleSignal': {
+                const signal = state.signals[action.signal];
+                if (!signal) break;
+                const currentIdx = SIGNAL_PHASES.indexOf(signal.phase);
+                signal.phase = SIGNAL_PHASES[(currentIdx + 1) % SIGNAL_PHASES.length];
+                emit({ type: 'signalChanged', signal: signal });
+                break;
+            }
+            case 'move':
+                state.player.target = { x: action.x, z: action.z };
+                break;
+            case 'steer': {
+                // Direct control: held until the next steer action
+                const len = Math.sqrt(action.x * action.x + action.z * action.z);
+                const scale = len > 1 ? 1 / len : 1;
+                state.player.steer = { x: action.x * scale, z: action.z * scale };
+                break;
+            }
+            case 'barricade':
+                placeBarricade(BARRICADE_TYPES[action.kind] ? action.kind : DEFAULT_BARRICADE);
+                break;
+        }
+    }
+
+    function placeBarricade(kind) {
+        const state = sim.state;
+        // Out of slots: a pickup's extra barricade is used up, otherwise the
+        // oldest barricades make way
+        const clear = barricadesToClear(state.barricades, kind, config.maxBarricades);
+        if (clear < 0) return;
+        if (clear > 0 && state.barricadeCharges > 0) {
+            state.barricadeCharges--;
+        } else {
+            state.barricades.splice(0, clear).forEach(oldest => {
+                emit({ type: 'barricadeRemoved', barricade: oldest });
+            });
+        }
+
+        const player = state.player;
+        const spot = barricadePlacement(map, player.x, player.z, player.heading);
+        const barricade = {
+            id: nextId++,
+            kind: kind,
+            x: spot.x,
+            z: spot.z,
+            heading: spot.heading,
+            hp: BARRICADE_TYPES[kind].hp
+        };
+        state.barricades.push(barricade);
+        emit({ type: 'barricadePlaced', barricade: barricade });
+    }
+
+    // --- SPAWNING ---
+    // Spawns a random type at a random spawner, by the schedule's weights and
+    // mix; pass spawnerIndex (index into map.spawners) and/or typeId (key of
+    // VEHICLE_TYPES) to choose.
+    // Returns null if the previous vehicle hasn't cleared the spawn point yet.
+    function spawnVehicle(spawnerIndex, typeId) {
+        return addVehicle(spawnerIndex, typeId, config.schedule.weights, config.schedule.mix);
+    }
+
+    function addVehicle(spawnerIndex, typeId, weights, mix) {
+        const index = spawnerIndex === undefined ? pickWeighted(rng, weights) : spawnerIndex;
+        if (index < 0) return null; // Every spawner weighs 0
+        const spawner = map.spawners[index];
+        const hue = rng();
+        const type = typeId === undefined ? pickVehicleType(rng, mix) : typeId;
+        if (isSpawnBlocked(spawner, type)) return null;
+
+        const vehicle = {
+            id: nextId++,
+            x: spawner.x,
+            z: spawner.z,
+            axis: spawner.moveAxis,
+            dir: spawner.dir,
+            heading: headingFor(spawner.moveAxis, spawner.dir),
+            type: type,
+            speed: VEHICLE_TYPES[type].speed,
+            hp: VEHICLE_TYPES[type].hp,
+            immune: 0, // Ticks left ignoring other vehicles after surviving a crash
+            hue: hue,
+            active: true,
+            blinker: null, // null, 'left', 'right', 'hazard' or 'random' (see TILE_BLINKERS)
+            turn: null, // Path being followed through a junction (see planTurnPath)
+            waitTicks: 0, // Held by a stop tile
+            boostTicks: 0, // Sped up by a boost tile
+            skidTicks: 0, // Sliding across the road on an oil slick...
+            skidShift: 0, // ...this far sideways per tick
+            stalled: false, // Stopped for good by a spike strip
+            turns: 0, // Tile turns taken, for the routing bonus
+            // Dynamic pathing: track which intersections we've already passed through
+            passedIntersections: [] // [{x, z}] for intersections already handled
+        };
+
+        sim.state.vehicles.push(vehicle);
+        trackVehicle(vehicle);
+        emit({ type: 'spawn', vehicle: vehicle });
+        return vehicle;
+    }
+
+    // Slow, long vehicles can still be sitting on the spawn point
+    function isSpawnBlocked(spawner, type) {
+        const spawnBox = expandBox(
+            vehicleBox({ x: spawner.x, z: spawner.z, heading: headingFor(spawner.moveAxis, spawner.dir), type: type }),
+            1
+        );
+        return nearbyVehicles(boxBounds(spawnBox)).some(v => boxesOverlap(spawnBox, cachedBox(v)));
+    }
+
+    // Convoys falling due join the queue even while traffic is frozen; their
+    // cars go out once spawning runs again
+    function startConvoys() {
+        const state = sim.state;
+        config.schedule.convoys.forEach(convoy => {
+            if (convoy.tick === state.tick) {
+                state.convoys.push({ spawner: convoy.spawner, vehicle: convoy.vehicle, left: convoy.count });
+            }
+        });
+    }
+
+    // Runs the spawn schedule for this tick: base traffic (unless a lull is
+    // on), any rushes under way, and convoys still going
+    function updateSpawning() {
+        const state = sim.state;
+        const schedule = config.schedule;
+        const roomLeft = () => state.vehicles.length < config.maxVehicles;
+
+        state.spawnCountdown--;
+        if (state.spawnCountdown <= 0) {
+            state.spawnCountdown = schedule.intervalTicks;
+            const lull = schedule.lulls.some(phase => isPhaseActive(phase, state.tick));
+            if (!lull && roomLeft()) spawnVehicle();
+        }
+
+        schedule.rushes.forEach((rush, i) => {
+            if (!isPhaseActive(rush, state.tick)) return;
+            state.rushCountdowns[i]--;
+            if (state.rushCountdowns[i] > 0) return;
+            state.rushCountdowns[i] = rush.intervalTicks;
+            if (roomLeft()) addVehicle(undefined, undefined, rush.weights, rush.mix);
+        });
+
+        // The next car of each convoy goes as soon as its lane is clear
+        for (let i = state.convoys.length - 1; i >= 0; i--) {
+            const convoy = state.convoys[i];
+            if (!roomLeft()) break;
+            if (!addVehicle(convoy.spawner, convoy.vehicle ?? undefined, null, schedule.mix)) continue;
+            convoy.left--;
+            if (convoy.left === 0) state.convoys.splice(i, 1);
+        }
+    }
+
+    function removeVehicleAt(index) {
+        const vehicle = sim.state.vehicles[index];
+        vehicle.active = false;
+        sim.state.vehicles.splice(index, 1);
+        untrackVehicle(vehicle);
+        emit({ type: 'vehicleRemoved', vehicle: vehicle });
+    }
+
+    function removeVehicle(vehicle) {
+        removeVehicleAt(sim.state.vehicles.indexOf(vehicle));
+    }
+
+    // --- CRASHES & SCORING ---
+    // Deals one hit to every vehicle in a crash. Wrecked vehicles are removed,
+    // survivors are briefly immune so they can drive out of the wreck.
+    // Returns the crash event fields (score included).
+    function resolveCrash(involved) {
+        const wrecked = [];
+        involved.forEach(v => {
+            v.hp--;
+            if (v.hp <= 0) {
+                removeVehicle(v);
+                wrecked.push(v);
+            } else {
+                v.immune = CRASH_IMMUNE_TICKS;
+                emit({ type: 'vehicleDamaged', vehicle: v });
+            }
+        });
+        return scoreCrash(involved, wrecked);
+    }
+
+    // Scores a crash and extends the combo chain
+    function scoreCrash(involved, wrecked) {
+        const state = sim.state;
+        const combo = state.combo;
+        combo.chain++;
+        combo.multiplier = Math.min(combo.chain, MAX_MULTIPLIER);
+        combo.ticksLeft = COMBO_WINDOW_TICKS;
+
+        const turns = involved.reduce((sum, v) => sum + v.turns, 0);
+        const typePoints = wrecked.reduce((sum, v) => sum + VEHICLE_TYPES[v.type].points, 0);
+        const base = CRASH_POINTS + PILEUP_POINTS * Math.max(0, involved.length - 2) + typePoints + ROUTING_POINTS * turns;
+        const points = base * combo.multiplier * (state.effects.doubler > 0 ? 2 : 1);
+        state.score += points;
+        state.crashes++;
+
+        return {
+            points: points,
+            vehicles: involved.length,
+            wrecked: wrecked.length,
+            multiplier: combo.multiplier,
+            turns: turns,
+            blast: Math.max(...involved.map(v => VEHICLE_TYPES[v.type].blast))
+        };
+    }
+
+    function updateCombo() {
+        const combo = sim.state.combo;
+        if (combo.ticksLeft === 0) return;
+        combo.ticksLeft--;
+        if (combo.ticksLeft === 0) {
+            combo.chain = 0;
+            combo.multiplier = 1;
+        }
+    }
+
+    // --- PLAYER ---
+    function updatePlayer() {
+        const player = sim.state.player;
+
+        // Direct control overrides (and cancels) a click target
+        if (player.steer.x !== 0 || player.steer.z !== 0) {
+            player.target = null;
+            // Clicks can only land on the map; keep steering on it too
+            const bounds = sim.map.bounds;
+            player.x = Math.min(bounds.maxX, Math.max(bounds.minX, player.x + player.steer.x * PLAYER_SPEED));
+            player.z = Math.min(bounds.maxZ, Math.max(bounds.minZ, player.z + player.steer.z * PLAYER_SPEED));
+            player.heading = Math.atan2(player.steer.x, player.steer.z);
+            player.walking = true;
+        } else if (player.target) {
+            // Move toward target
+            const dx = player.target.x - player.x;
+            const dz = player.target.z - player.z;
+            const dist = Math.sqrt(dx * dx + dz * dz);
+
+            if (dist > 0.5) {
+                const mx = (dx / dist) * PLAYER_SPEED;
+                const mz = (dz / dist) * PLAYER_SPEED;
+                player.x += mx;
+                player.z += mz;
+
+                // Face movement direction
+                player.heading = Math.atan2(mx, mz);
+                player.walking = true;
+            } else {
+                player.target = null;
+                player.walking = false;
+            }
+        } else {
+            player.walking = false;
+        }
+
+        // Invincibility countdown
+        if (player.invincible > 0) {
+            player.invincible--;
+        }
+    }
+
+    function checkPlayerVehicleCollision() {
+        const state = sim.state;
+        const player = state.player;
+        if (player.invincible > 0 || state.effects.shield > 0) return;
+
+        const playerBox = boxAround(player.x, player.z, PLAYER_SIZE, PLAYER_SIZE);
+
+        for (const v of nearbyVehicles(boxBounds(playerBox))) {
+            if (boxesOverlap(playerBox, cachedBox(v))) {
+                // Player takes damage
+                player.hp--;
+
+                // Knockback: push player away from vehicle
+                const kx = player.x - v.x;
+                const kz = player.z - v.z;
+                const len = Math.sqrt(kx * kx + kz * kz) || 1;
+                player.x += (kx / len) * 5;
+                player.z += (kz / len) * 5;
+                player.target = null;
+                player.walking = false;
+
+                player.invincible = INVINCIBLE_TICKS;
+
+                // Destroy the vehicle (crash, no score for self-damage)
+                removeVehicle(v);
+                emit({ type: 'playerHit', x: v.x, z: v.z });
+
+                // Check game over
+                if (player.hp <= 0) {
+                    endGame('over');
+                }
+
+                break; // Only one collision per tick
+            }
+        }
+    }
+
+    function checkBarricadeVehicleCollision() {
+        const state = sim.state;
+
+        for (let bi = state.barricades.length - 1; bi >= 0; bi--) {
+            const b = state.barricades[bi];
+            const type = BARRICADE_TYPES[b.kind];
+            const barricadeBox = barricadeBoxOf(b);
+
+            for (const v of nearbyVehicles(boxBounds(barricadeBox))) {
+                // Cars already dealt with by a barricade ride it out
+                if (v.immune > 0 || v.stalled || v.skidTicks > 0) continue;
+                // Mid-turn cars can still crash or get spiked, but not swerve
+                if (v.turn && (type.effect === 'deflect' || type.effect === 'skid')) continue;
+                if (!boxesOverlap(barricadeBox, cachedBox(v))) continue;
+
+                if (type.effect === 'crash') {
+                    emit({
+                        type: 'barricadeCrash',
+                        x: v.x + (b.x - v.x) * 0.3,
+                        z: v.z + (b.z - v.z) * 0.3,
+                        ...resolveCrash([v])
+                    });
+                } else {
+                    applyBarricadeEffect(v, type.effect);
+                    emit({ type: 'barricadeTriggered', barricade: b, vehicle: v, effect: type.effect });
+                }
+
+                // One vehicle per barricade per tick; worn out, it's gone
+                b.hp--;
+                if (b.hp <= 0) {
+                    state.barricades.splice(bi, 1);
+                    emit({ type: 'barricadeRemoved', barricade: b });
+                }
+                break;
+            }
+        }
+    }
+
+    function applyBarricadeEffect(v, effect) {
+        if (effect === 'stall') {
+            v.stalled = true;
+            return;
+        }
+        const road = roadAt(map, v.x, v.z, v.axis);
+        if (!road) return;
+        if (effect === 'deflect') {
+            // A U-turn on the spot, as if at a junction the width of this road
+            const spot = { x: road.at, z: road.at, widthX: road.width, widthZ: road.width };
+            v.turn = planTurnPath(spot, v.x, v.z, v.axis, v.dir, v.axis, -v.dir);
+            v.passedIntersections = [];
+        } else if (effect === 'skid') {
+            // Over to the mirror position in the oncoming lane, still heading the same way
+            const across = v.axis === 'x' ? 'z' : 'x';
+            v.skidTicks = SKID_TICKS;
+            v.skidShift = 2 * (road.at - v[across]) / SKID_TICKS;
+        }
+    }
+
+    // Slides a skidding car sideways; it straightens up once across
+    function skid(v) {
+        const across = v.axis === 'x' ? 'z' : 'x';
+        v[across] += v.skidShift;
+        v.skidTicks--;
+        v.heading = headingFor(v.axis, v.dir) + (v.skidTicks > 0 ? SKID_SLEW * Math.sign(v.skidShift) : 0);
+    }
+
+    // --- PICKUPS ---
+    // Counts down timed effects, drops new pickups on the road, lets unclaimed
+    // ones expire and collects whatever the player is standing on
+    function updatePickups() {
+        const state = sim.state;
+        TIMED_PICKUPS.forEach(id => {
+            if (state.effects[id] > 0) state.effects[id]--;
+        });
+
+        if (config.pickupIntervalTicks > 0) {
+            state.pickupCountdown--;
+            if (state.pickupCountdown <= 0) {
+                state.pickupCountdown = config.pickupIntervalTicks;
+                if (state.pickups.length < config.maxPickups) spawnPickup();
+            }
+        }
+
+        const playerBox = boxAround(state.player.x, state.player.z, PLAYER_SIZE, PLAYER_SIZE);
+        for (let i = state.pickups.length - 1; i >= 0; i--) {
+            const pickup = state.pickups[i];
+            if (boxesOverlap(playerBox, boxAround(pickup.x, pickup.z, PICKUP_SIZE, PICKUP_SIZE))) {
+                state.pickups.splice(i, 1);
+                collectPickup(pickup);
+                emit({ type: 'pickupCollected', pickup: pickup });
+            } else if (--pickup.ticksLeft <= 0) {
+                state.pickups.splice(i, 1);
+                emit({ type: 'pickupExpired', pickup: pickup });
+            }
+        }
+    }
+
+    function spawnPickup() {
+        const spot = pickPickupSpot(map, pickupRng);
+        const pickup = {
+            id: nextId++,
+            type: pickPickupType(pickupRng),
+            x: spot.x,
+            z: spot.z,
+            ticksLeft: PICKUP_LIFETIME_TICKS
+        };
+        sim.state.pickups.push(pickup);
+        emit({ type: 'pickupSpawned', pickup: pickup });
+    }
+
+    function collectPickup(pickup) {
+        const state = sim.state;
+        const type = PICKUP_TYPES[pickup.type];
+        if (type.seconds) {
+            // Collecting one that's already running starts it over
+            state.effects[pickup.type] = type.seconds * SIM_HZ;
+        } else if (pickup.type === 'heal') {
+            state.player.hp = Math.min(MAX_HP, state.player.hp + 1);
+        } else if (pickup.type === 'barricade') {
+            state.barricadeCharges++;
+        }
+    }
+
+    // --- PEDESTRIANS ---
+    // Pedestrians step up to a crosswalk on their own schedule, wait at the
+    // curb, then walk across whatever the traffic is doing. With the player
+    // close by, one still at the curb is held back and one already crossing
+    // hurries. They wait for a car standing in their way rather than walk
+    // into it, so any vehicle touching one has run it over.
+    function updatePedestrians() {
+        const state = sim.state;
+        if (config.pedestrianIntervalTicks > 0) {
+            state.pedestrianCountdown--;
+            if (state.pedestrianCountdown <= 0) {
+                state.pedestrianCountdown = config.pedestrianIntervalTicks;
+                if (state.pedestrians.length < config.maxPedestrians) spawnPedestrian();
+            }
+        }
+
+        const player = state.player;
+        for (let i = state.pedestrians.length - 1; i >= 0; i--) {
+            const p = state.pedestrians[i];
+            const dx = player.x - p.x;
+            const dz = player.z - p.z;
+            const near = dx * dx + dz * dz < ESCORT_RADIUS * ESCORT_RADIUS;
+
+            if (p.curbTicks > 0) {
+                p.held = near;
+                if (!p.held) p.curbTicks--;
+                continue;
+            }
+
+            p.held = false;
+            const speed = near ? ESCORT_SPEED : PEDESTRIAN_SPEED;
+            const stepBox = pedestrianBox(p);
+            stepBox[p.axis] += speed * p.dir;
+            p.walking = !nearbyVehicles(boxBounds(stepBox)).some(v => boxesOverlap(stepBox, cachedBox(v)));
+            if (!p.walking) continue;
+
+            p[p.axis] += speed * p.dir;
+            if ((p[p.axis] - p.end) * p.dir >= 0) {
+                state.pedestrians.splice(i, 1);
+                emit({ type: 'pedestrianCrossed', pedestrian: p });
+            }
+        }
+    }
+
+    // At a random crosswalk nobody is using yet, on a random side of the road
+    function spawnPedestrian() {
+        const state = sim.state;
+        const free = [];
+        map.crosswalks.forEach((crosswalk, index) => {
+            if (!state.pedestrians.some(p => p.crosswalk === index)) free.push(index);
+        });
+        if (free.length === 0) return;
+
+        const index = free[Math.floor(pedestrianRng() * free.length)];
+        const crosswalk = map.crosswalks[index];
+        const dir = pedestrianRng() < 0.5 ? 1 : -1;
+        const axis = crosswalk.crossAxis;
+        const reach = crosswalk.halfSpan + CURB_MARGIN;
+        const pedestrian = {
+            id: nextId++,
+            crosswalk: index,
+            x: crosswalk.x,
+            z: crosswalk.z,
+            axis: axis,
+            dir: dir,
+            heading: headingFor(axis, dir),
+            end: crosswalk[axis] + reach * dir, // Along `axis`, where they're across
+            hue: pedestrianRng(),
+            curbTicks: CURB_WAIT_TICKS,
+            held: false, // The player is keeping them at the curb
+            walking: false
+        };
+        pedestrian[axis] -= reach * dir;
+        state.pedestrians.push(pedestrian);
+        emit({ type: 'pedestrianSpawned', pedestrian: pedestrian });
+    }
+
+    function checkPedestrianVehicleCollision() {
+        const state = sim.state;
+
+        for (let i = state.pedestrians.length - 1; i >= 0; i--) {
+            const p = state.pedestrians[i];
+            const box = pedestrianBox(p);
+            const v = nearbyVehicles(boxBounds(box)).find(vB => boxesOverlap(box, cachedBox(vB)));
+            if (!v) continue;
+
+            state.pedestrians.splice(i, 1);
+            state.pedestriansHit++;
+            const penalty = Math.min(config.pedestrianPenalty, state.score);
+            state.score -= penalty;
+            emit({ type: 'pedestrianHit', pedestrian: p, x: p.x, z: p.z, penalty: penalty });
+
+            if (config.pedestrianLimit > 0 && state.pedestriansHit >= config.pedestrianLimit) {
+                endGame('over');
+                return;
+            }
+        }
+    }
+
+    // --- VEHICLES ---
+    function updateVehicles() {
+        const state = sim.state;
+        const vehicles = state.vehicles;
+
+        for (let i = vehicles.length - 1; i >= 0; i--) {
+            const v = vehicles[i];
+            if (!v.active) continue;
+            if (v.immune > 0) v.immune--;
+
+            // --- Dynamic Tile-Based Pathing ---
+            // Check if we're approaching an intersection and need to read a tile.
+            // Mid-turn the path decides everything until the car is on its new road.
+            const nextIntersection = v.turn ? null : findNextIntersection(
+                map.intersections, v, v.axis, v.dir, v.passedIntersections
+            );
+            let waitingAtSignal = false;
+
+            if (nextIntersection) {
+                const distToCenter = v.axis === 'z'
+                    ? (nextIntersection.z - v.z) * v.dir
+                    : (nextIntersection.x - v.x) * v.dir;
+                const halfJunction = (v.axis === 'x' ? nextIntersection.widthX : nextIntersection.widthZ) / 2;
+                const approachDir = getApproachDir(v.axis, v.dir);
+                const tile = findTileForApproach(state.tiles, nextIntersection.x, nextIntersection.z, approachDir);
+
+                // Entering the junction: read the tile and commit to it
+                if (distToCenter <= halfJunction) {
+                    let tileDirection = tile ? tile.direction : 'straight';
+                    if (tileDirection === 'random') {
+                        tileDirection = RANDOM_TILE_CHOICES[Math.floor(rng() * RANDOM_TILE_CHOICES.length)];
+                    }
+                    const resolved = resolveTileDirection(tileDirection, v.axis, v.dir);
+
+                    // Mark this intersection as passed
+                    v.passedIntersections.push({ x: nextIntersection.x, z: nextIntersection.z });
+
+                    if (resolved.axis !== v.axis || resolved.dir !== v.dir) {
+                        // Start the turn; the blinker stays on until it's done
+                        v.turn = planTurnPath(nextIntersection, v.x, v.z, v.axis, v.dir, resolved.axis, resolved.dir);
+                        v.blinker = TILE_BLINKERS[tileDirection];
+                        v.turns++;
+                        // The new road can lead back through junctions crossed
+                        // earlier (always, after a U-turn): only this one stays passed
+                        v.passedIntersections = [{ x: nextIntersection.x, z: nextIntersection.z }];
+                        emit({ type: 'turn', vehicle: v, direction: tileDirection });
+                    } else {
+                        if (tileDirection === 'stop') {
+                            v.waitTicks = config.stopTicks;
+                        } else if (tileDirection === 'boost') {
+                            v.boostTicks = BOOST_TICKS;
+                        }
+                        v.blinker = null;
+                    }
+                } else {
+                    // Red light: hold at the stop line
+                    const signal = state.signals[map.intersections.indexOf(nextIntersection)];
+                    if (signal && isSignalRed(signal.phase, v.axis)) {
+                        const toStopLine = distToCenter - halfJunction - VEHICLE_TYPES[v.type].length / 2 - STOP_LINE_GAP;
+                        waitingAtSignal = toStopLine >= 0 && toStopLine < currentSpeed(v);
+                    }
+
+                    // Blinker logic: signal when approaching intersection
+                    const tileDir = tile ? tile.direction : 'straight';
+                    v.blinker = distToCenter < BLINKER_DIST ? TILE_BLINKERS[tileDir] || null : null;
+                }
+            } else if (!v.turn) {
+                // No more intersections ahead, ensure blinkers off
+                v.blinker = null;
+            }
+
+            // --- Don't drive into the car ahead ---
+            // A probe FOLLOW_GAP ahead of the vehicle; anything in it that is
+            // heading roughly the same way (same lane, or turning into or out
+            // of it) makes this one wait. Crossing and oncoming traffic is
+            // ignored: that's where the crashes come from.
+            const forward = headingVector(v.heading);
+            const probe = vehicleBox(v);
+            probe.x += forward.x * FOLLOW_GAP;
+            probe.z += forward.z * FOLLOW_GAP;
+            const blocked = vehicleIndex.query(boxBounds(probe)).some(vB => {
+                // A stalled car is an obstacle: traffic runs into it
+                if (vB === v || vB.stalled) return false;
+                const forwardB = headingVector(vB.heading);
+                if (forward.x * forwardB.x + forward.z * forwardB.z < SAME_WAY_DOT) return false;
+                // Only cars physically ahead
+                if ((vB.x - v.x) * forward.x + (vB.z - v.z) * forward.z <= 0) return false;
+                return boxesOverlap(probe, cachedBox(vB));
+            });
+            // Cars queued behind a red light stop the same way
+            const shouldStop = blocked || waitingAtSignal;
+
+            if (v.stalled) {
+                v.blinker = 'hazard';
+            } else if (v.waitTicks > 0) {
+                v.waitTicks--;
+            } else if (!shouldStop) {
+                if (v.turn) {
+                    followTurn(v, currentSpeed(v));
+                } else {
+                    v[v.axis] += currentSpeed(v) * v.dir;
+                    if (v.skidTicks > 0) skid(v);
+                }
+            }
+            if (v.boostTicks > 0) v.boostTicks--;
+            trackVehicle(v);
+
+            // Cleanup if out of bounds
+            if (isOutOfBounds(map, v.x, v.z)) {
+                removeVehicleAt(i);
+            }
+        }
+    }
+
+    // Moves a turning vehicle along its path; at the end it carries on
+    // straight along its new road
+    function followTurn(v, distance) {
+        const done = advanceTurnPath(v.turn, distance);
+        const point = turnPathPoint(v.turn);
+        v.x = point.x;
+        v.z = point.z;
+        v.heading = point.heading;
+        if (done) {
+            v.axis = v.turn.axis;
+            v.dir = v.turn.dir;
+            v.heading = headingFor(v.axis, v.dir);
+            v.turn = null;
+            v.blinker = null;
+        }
+    }
+
+    function checkVehicleCollisions() {
+        const state = sim.state;
+        const vehicles = state.vehicles;
+
+        // Each vehicle is only tested against the ones sharing a grid cell.
+        // We iterate backwards because we might remove elements during the loop
+        for (let i = vehicles.length - 1; i >= 0; i--) {
+            const vA = vehicles[i];
+            if (!vA || vA.immune > 0) continue; // Shifted out by an earlier removal, or driving clear of a wreck
+            const { box: boxA, bounds: boundsA } = boxCache.get(vA);
+
+            for (const vB of nearbyVehicles(boundsA)) {
+                if (vB === vA || vB.immune > 0) continue;
+
+                if (boxesOverlap(boxA, cachedBox(vB))) {
+                    // Collision! Everything touching the wreck goes with it
+                    const involved = collectPileup([vA, vB]);
+                    const x = involved.reduce((sum, v) => sum + v.x, 0) / involved.length;
+                    const z = involved.reduce((sum, v) => sum + v.z, 0) / involved.length;
+
+                    emit({ type: 'crash', x: x, z: z, ...resolveCrash(involved) });
+
+                    // Stop here since vA has crashed and can't hit anything else this tick
+                    break;
+                }
+            }
+        }
+    }
+
+    // Grows a crash by every car within blast range of a crashed one,
+    // transitively (chain reaction)
+    function collectPileup(involved) {
+        for (let k = 0; k < involved.length; k++) {
+            const blastBox = expandBox(cachedBox(involved[k]), VEHICLE_TYPES[involved[k].type].blast);
+            nearbyVehicles(boxBounds(blastBox)).forEach(v => {
+                if (v.immune === 0 && !involved.includes(v) && boxesOverlap(blastBox, cachedBox(v))) {
+                    involved.push(v);
+                }
+            });
+        }
+        return involved;
+    }
+
+    function endGame(result) {
+        const state = sim.state;
+        if (state.gameState !== 'playing') return;
+        state.gameState = result;
+        emit({ type: 'gameEnd', result: result });
+    }
+
+    // --- STEP ---
+    // Advances the game by exactly one fixed tick, applying `actions` first.
+    function step(actions = []) {
+        const state = sim.state;
+        sim.events = [];
+        if (state.gameState !== 'playing') return sim.events;
+
+        state.tick++;
+        actions.forEach(applyAction);
+
+        if (state.tick % SIM_HZ === 0) {
+            state.timeLeft--;
+            if (state.timeLeft <= 0) {
+                endGame(state.score >= state.targetScore ? 'clear' : 'over');
+                return sim.events;
+            }
+        }
+
+        // A freeze holds all traffic: nothing spawns, nothing moves
+        const frozen = state.effects.freeze > 0;
+        if (config.autoSpawn) startConvoys();
+        if (config.autoSpawn && !frozen) updateSpawning();
+        updateCombo();
+        updatePlayer();
+        updatePickups();
+        checkPlayerVehicleCollision();
+        if (state.gameState !== 'playing') return sim.events;
+        checkBarricadeVehicleCollision();
+        updatePedestrians();
+        if (!frozen) {
+            updateVehicles();
+            checkVehicleCollisions();
+        }
+        checkPedestrianVehicleCollision();
+
+        return sim.events;
+    }
+
+    reset(options.seed ?? 0);
+    return sim;
+}
+
+function currentSpeed(v) {
+    return v.boostTicks > 0 ? v.speed * BOOST_MULTIPLIER : v.speed;
+}
+
+// --- COLLISION HELPERS ---
+// Boxes on the XZ plane, oriented by a heading like vehicles are (0 = long
+// side along Z): center, half length along the heading, half width across it.
+function boxAround(x, z, sizeX, sizeZ) {
+    return { x: x, z: z, halfLength: sizeZ / 2, halfWidth: sizeX / 2, heading: 0 };
+}
+
+// Barricades are turned across the lane they were placed in
+function barricadeBoxOf(b) {
+    const type = BARRICADE_TYPES[b.kind];
+    return { x: b.x, z: b.z, halfLength: type.depth / 2, halfWidth: type.width / 2, heading: b.heading };
+}
+
+function pedestrianBox(p) {
+    return boxAround(p.x, p.z, PEDESTRIAN_SIZE, PEDESTRIAN_SIZE);
+}
+
+// Vehicles turn through junctions, so their box turns with them
+function vehicleBox(v) {
+    const type = VEHICLE_TYPES[v.type];
+    return { x: v.x, z: v.z, halfLength: type.length / 2, halfWidth: type.width / 2, heading: v.heading };
+}
+
+// Axis-aligned rectangle around a (possibly turned) box, for the broadphase
+function boxBounds(box) {
+    const f = headingVector(box.heading);
+    const extentX = box.halfLength * Math.abs(f.x) + box.halfWidth * Math.abs(f.z);
+    const extentZ = box.halfLength * Math.abs(f.z) + box.halfWidth * Math.abs(f.x);
+    return { minX: box.x - extentX, maxX: box.x + extentX, minZ: box.z - extentZ, maxZ: box.z + extentZ };
+}
+
+function expandBox(box, margin) {
+    return { ...box, halfLength: box.halfLength + margin, halfWidth: box.halfWidth + margin };
+}
+
+function headingVector(heading) {
+    return { x: Math.sin(heading), z: Math.cos(heading) };
+}
+
+// Separating axis test: two rectangles overlap unless one of their four
+// edge directions separates them
+function boxesOverlap(a, b) {
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const fa = headingVector(a.heading);
+    const fb = headingVector(b.heading);
+    const axes = [fa, { x: fa.z, z: -fa.x }, fb, { x: fb.z, z: -fb.x }];
+    return axes.every(n => {
+        const reach = box => {
+            const f = headingVector(box.heading);
+            const along = Math.abs(f.x * n.x + f.z * n.z);
+            const across = Math.abs(f.z * n.x - f.x * n.z);
+            return box.halfLength * along + box.halfWidth * across;
+        };
+        return Math.abs(dx * n.x + dz * n.z) <= reach(a) + reach(b);
+    });
+}
@@ -0,0 +1,90 @@
+// --- SAVE SNAPSHOTS ---
+// A snapshot freezes a round mid-way: which round it is (map, stage, seed)
+// and the simulation's own snapshot (sim.snapshot(): state, RNG positions and
+// id counter). Autosaves are snapshots, and so are shared puzzle setups.
+//
+// { version, mapId, stage, seed, sim, replay }
+//   stage   campaign stage, null in free play
+//   replay  the run's recording so far, so a resumed run still replays from
+//           its seed; null for setups, which may not follow from any seed
+
+import { validateReplay } from './replay.js';
+
+export const SNAPSHOT_VERSION = 1;
+const AUTOSAVE_KEY = 'crash-junction:autosave';
+
+export function createSnapshot(simSnapshot, seed, mapId, stage = null, replay = null) {
+    return {
+        version: SNAPSHOT_VERSION,
+        mapId: mapId,
+        stage: stage,
+        seed: seed,
+        sim: simSnapshot,
+        replay: replay
+    };
+}
+
+export function serializeSnapshot(snapshot) {
+    return JSON.stringify(snapshot);
+}
+
+// Parses and sanity-checks a snapshot; throws with a readable message.
+// Whether it fits its map is checked by sim.restore().
+export function parseSnapshot(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Save file is not valid JSON');
+    }
+    if (!data || data.version !== SNAPSHOT_VERSION) {
+        throw new Error(`Unsupported save version: ${data && data.version}`);
+    }
+    if (!Number.isInteger(data.seed) || typeof data.mapId !== 'string' ||
+        (data.stage !== null && !Number.isInteger(data.stage))) {
+        throw new Error('Save is missing its seed, map or stage');
+    }
+    const sim = data.sim;
+    if (!sim || !Number.isInteger(sim.rng) || !Number.isInteger(sim.pickupRng) ||
+        !Number.isInteger(sim.pedestrianRng) || !Number.isInteger(sim.nextId) || !sim.state) {
+        throw new Error('Save has no simulation state');
+    }
+    const state = sim.state;
+    if (!Number.isInteger(state.tick) || !Number.isInteger(state.score) || !Number.isInteger(state.timeLeft) ||
+        !state.player || !Number.isFinite(state.player.x) || !Number.isFinite(state.player.z) ||
+        !['vehicles', 'tiles', 'signals', 'barricades', 'pickups', 'pedestrians', 'rushCountdowns', 'convoys'].every(key => Array.isArray(state[key])) || !state.effects) {
+        throw new Error('Save has an incomplete simulation state');
+    }
+    if (state.gameState !== 'playing') {
+        throw new Error('Save is of a finished round');
+    }
+    if (data.replay === undefined) data.replay = null;
+    if (data.replay !== null) validateReplay(data.replay);
+    return data;
+}
+
+// The autosave, or null if there is none (or it can't be read)
+export function loadAutosave(storage = globalThis.localStorage) {
+    try {
+        const text = storage.getItem(AUTOSAVE_KEY);
+        return text ? parseSnapshot(text) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+export function saveAutosave(snapshot, storage = globalThis.localStorage) {
+    try {
+        storage.setItem(AUTOSAVE_KEY, serializeSnapshot(snapshot));
+    } catch (e) {
+        // Storage can be unavailable (private mode, quota); the run just can't be resumed
+    }
+}
+
+export function clearAutosave(storage = globalThis.localStorage) {
+    try {
+        storage.removeItem(AUTOSAVE_KEY);
+    } catch (e) {
+        // See saveAutosave
+    }
+}
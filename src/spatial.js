@@ -0,0 +1,112 @@
+// --- SPATIAL HASH ---
+// Broadphase for collision checks: items are filed into the square grid
+// cells their bounds cover, so a query only looks at items in nearby cells
+// instead of every item on the map. Bounds are axis-aligned rectangles on the
+// XZ plane: { minX, maxX, minZ, maxZ }.
+//
+// Items move every tick, so update() only refiles an item when the range of
+// cells it covers has changed.
+
+// Cells are packed into one number; maps stay far inside +-32768 cells.
+const CELL_RANGE = 65536;
+const CELL_BIAS = 32768;
+
+export function createSpatialHash(cellSize) {
+    const cells = new Map(); // cell key -> items in that cell
+    const entries = new Map(); // item -> { minCX, maxCX, minCZ, maxCZ, stamp }
+    let queryStamp = 0;
+
+    function cellRange(bounds) {
+        return {
+            minCX: Math.floor(bounds.minX / cellSize),
+            maxCX: Math.floor(bounds.maxX / cellSize),
+            minCZ: Math.floor(bounds.minZ / cellSize),
+            maxCZ: Math.floor(bounds.maxZ / cellSize)
+        };
+    }
+
+    function forEachCell(range, fn) {
+        for (let cx = range.minCX; cx <= range.maxCX; cx++) {
+            for (let cz = range.minCZ; cz <= range.maxCZ; cz++) {
+                fn((cx + CELL_BIAS) * CELL_RANGE + (cz + CELL_BIAS));
+            }
+        }
+    }
+
+    function file(item, entry) {
+        forEachCell(entry, key => {
+            let cell = cells.get(key);
+            if (!cell) {
+                cell = [];
+                cells.set(key, cell);
+            }
+            cell.push(item);
+        });
+    }
+
+    function unfile(item, entry) {
+        forEachCell(entry, key => {
+            const cell = cells.get(key);
+            cell.splice(cell.indexOf(item), 1);
+            if (cell.length === 0) cells.delete(key);
+        });
+    }
+
+    function insert(item, bounds) {
+        const entry = { ...cellRange(bounds), stamp: 0 };
+        entries.set(item, entry);
+        file(item, entry);
+    }
+
+    function remove(item) {
+        const entry = entries.get(item);
+        if (!entry) return;
+        unfile(item, entry);
+        entries.delete(item);
+    }
+
+    function update(item, bounds) {
+        const entry = entries.get(item);
+        if (!entry) {
+            insert(item, bounds);
+            return;
+        }
+        const range = cellRange(bounds);
+        if (range.minCX === entry.minCX && range.maxCX === entry.maxCX &&
+            range.minCZ === entry.minCZ && range.maxCZ === entry.maxCZ) return;
+        unfile(item, entry);
+        Object.assign(entry, range);
+        file(item, entry);
+    }
+
+    // Every item filed in a cell the bounds touch, each once. Candidates
+    // only: the caller still runs the exact overlap test.
+    function query(bounds) {
+        queryStamp++;
+        const found = [];
+        forEachCell(cellRange(bounds), key => {
+            const cell = cells.get(key);
+            if (!cell) return;
+            cell.forEach(item => {
+                const entry = entries.get(item);
+                if (entry.stamp === queryStamp) return;
+                entry.stamp = queryStamp;
+                found.push(item);
+            });
+        });
+        return found;
+    }
+
+    function clear() {
+        cells.clear();
+        entries.clear();
+    }
+
+    return {
+        insert: insert,
+        remove: remove,
+        update: update,
+        query: query,
+        clear: clear
+    };
+}
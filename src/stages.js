@@ -0,0 +1,111 @@
+// --- STAGES & CAMPAIGN PROGRESS ---
+// A round is played under a set of rules: which map, the target score, the
+// time limit, how fast traffic spawns, how many cars may be on the road and
+// how many barricade slots the player gets. Campaign stages (stages/*.json) are
+// numbered rule sets; free play uses the defaults on any map.
+//
+// Stage entries (every field but "map" is optional and falls back to the defaults):
+//   { "name": "Rush Hour Rookie", "map": "grid-2x2", "targetScore": 2000,
+//     "timeLimit": 60, "spawnInterval": 0.8, "maxVehicles": 60, "maxBarricades": 3,
+//     "tiles": ["straight", "right", "left", "uturn"], "stopSeconds": 2, "signalPhase": "off",
+//     "pickupInterval": 10, "maxPickups": 2, "pedestrianInterval": 4,
+//     "maxPedestrians": 6, "pedestrianPenalty": 250, "pedestrianLimit": 0 }
+// "tiles" lists the tile kinds the player can cycle through (see TILE_KINDS);
+// "signalPhase" is the phase every traffic signal starts in (see SIGNAL_PHASES);
+// "pickupInterval": 0 turns pickups off (see src/pickups.js), and
+// "pedestrianInterval": 0 pedestrians. A "pedestrianLimit" above 0 ends the
+// round once that many pedestrians have been run over.
+// A "schedule" replaces the steady "spawnInterval" with a timeline of spawner
+// weights, vehicle mixes, rush hours, lulls and convoys (see src/schedule.js).
+
+import { TILE_KINDS, SIGNAL_PHASES } from './traffic.js';
+import { parseSchedule } from './schedule.js';
+
+export const DEFAULT_RULES = {
+    targetScore: 2000,
+    timeLimit: 60, // seconds
+    spawnInterval: 0.8, // seconds between spawns
+    maxVehicles: 60,
+    maxBarricades: 3,
+    tiles: ['straight', 'right', 'left'],
+    stopSeconds: 2, // How long a stop tile holds a car
+    signalPhase: 'off', // Phase every traffic signal starts in
+    pickupInterval: 10, // seconds between pickups appearing
+    maxPickups: 2,
+    pedestrianInterval: 4, // seconds between pedestrians stepping up to a crosswalk
+    maxPedestrians: 6,
+    pedestrianPenalty: 250, // points lost per pedestrian run over
+    pedestrianLimit: 0, // pedestrians run over before the round is lost (0 = no limit)
+    schedule: null // spawn timeline; null spawns steadily every spawnInterval
+};
+
+const PROGRESS_KEY = 'crash-junction:progress';
+
+// Returns the campaign as an array of rounds; stage numbers start at 1.
+export function parseStages(def) {
+    if (!def || !Array.isArray(def.stages) || def.stages.length === 0) {
+        throw new Error('Campaign needs at least one stage');
+    }
+    return def.stages.map((s, idx) => {
+        if (typeof s.map !== 'string') {
+            throw new Error(`Stage ${idx + 1} has no map`);
+        }
+        if (s.tiles !== undefined) {
+            if (!Array.isArray(s.tiles) || s.tiles.length === 0) {
+                throw new Error(`Stage ${idx + 1} needs at least one tile kind`);
+            }
+            const unknown = s.tiles.find(t => !TILE_KINDS.includes(t));
+            if (unknown) throw new Error(`Stage ${idx + 1} has unknown tile kind "${unknown}"`);
+        }
+        if (s.signalPhase !== undefined && !SIGNAL_PHASES.includes(s.signalPhase)) {
+            throw new Error(`Stage ${idx + 1} has unknown signal phase "${s.signalPhase}"`);
+        }
+        if (s.schedule !== undefined) {
+            try {
+                parseSchedule(s.schedule);
+            } catch (e) {
+                throw new Error(`Stage ${idx + 1}: ${e.message}`);
+            }
+        }
+        return {
+            ...DEFAULT_RULES,
+            ...s,
+            stage: idx + 1,
+            name: s.name || `Stage ${idx + 1}`,
+            mapId: s.map
+        };
+    });
+}
+
+// Rules for a round outside the campaign
+export function freePlayRound(mapId) {
+    return { ...DEFAULT_RULES, stage: null, name: 'Free Play', mapId: mapId };
+}
+
+// --- Progress (localStorage) ---
+// { unlocked: highest stage number the player may start }
+export function loadProgress(storage = globalThis.localStorage) {
+    try {
+        const data = JSON.parse(storage.getItem(PROGRESS_KEY));
+        if (data && Number.isInteger(data.unlocked) && data.unlocked >= 1) return data;
+    } catch (e) {
+        // Missing or corrupt progress starts over
+    }
+    return { unlocked: 1 };
+}
+
+export function saveProgress(progress, storage = globalThis.localStorage) {
+    try {
+        storage.setItem(PROGRESS_KEY, JSON.stringify(progress));
+    } catch (e) {
+        // Storage can be unavailable (private mode, quota); progress just won't persist
+    }
+}
+
+// Unlocks the stage after `stage`; returns true if that opened something new.
+export function unlockNextStage(progress, stage, stageCount) {
+    const next = Math.min(stage + 1, stageCount);
+    if (next <= progress.unlocked) return false;
+    progress.unlocked = next;
+    return true;
+}
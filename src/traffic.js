@@ -0,0 +1,204 @@
+// --- TRAFFIC ROUTING ---
+// Pure helpers that decide where a car goes at a junction. No scene objects:
+// positions are plain {x, z} and tiles are the simulation's tile records.
+
+import { laneOffset } from './map.js';
+
+// --- Helper: Determine the approach direction from vehicle axis/dir ---
+export function getApproachDir(axis, dir) {
+    if (axis === 'z' && dir === 1) return 'fromNorth';   // Moving +Z = coming from north
+    if (axis === 'z' && dir === -1) return 'fromSouth';  // Moving -Z = coming from south
+    if (axis === 'x' && dir === 1) return 'fromWest';    // Moving +X = coming from west
+    if (axis === 'x' && dir === -1) return 'fromEast';   // Moving -X = coming from east
+    return 'fromNorth';
+}
+
+// --- Helper: Find the direction tile for a given intersection and approach ---
+export function findTileForApproach(tiles, intersectionX, intersectionZ, approachDir) {
+    return tiles.find(t =>
+        t.intersectionX === intersectionX &&
+        t.intersectionZ === intersectionZ &&
+        t.approachDir === approachDir
+    );
+}
+
+// --- Tile kinds ---
+// straight/right/left/uturn route the car; stop holds it in the junction for
+// a while and boost speeds it through (both go straight on); random picks one
+// of RANDOM_TILE_CHOICES per car as it arrives.
+export const TILE_KINDS = ['straight', 'right', 'left', 'uturn', 'stop', 'boost', 'random'];
+export const RANDOM_TILE_CHOICES = ['straight', 'right', 'left'];
+
+// --- Helper: Convert tile direction to world turn for a given approach ---
+// 'right' and 'left' are relative to the CAR's forward direction.
+// In THREE.js with our camera: +Z is down (screen bottom), -Z is up (screen top),
+// +X is right, -X is left. So a car moving +Z (down the screen) turns right
+// towards -X (the screen's left) and left towards +X.
+// That makes 'right' a clockwise turn around the Y axis (negative rotation),
+// which is what the arrow visuals use as well.
+// A U-turn keeps the axis and reverses into the opposite lane; tiles that
+// don't turn (stop, boost) carry straight on.
+export function resolveTileDirection(tileDirection, currentAxis, currentDir) {
+    if (tileDirection === 'uturn') return { axis: currentAxis, dir: -currentDir };
+    if (tileDirection !== 'right' && tileDirection !== 'left') return { axis: currentAxis, dir: currentDir };
+
+    let newAxis, newDir;
+
+    if (currentAxis === 'z') {
+        newAxis = 'x';
+        if (tileDirection === 'right') {
+            // Moving +Z (down), turn Right -> go -X (left on screen)
+            // Moving -Z (up), turn Right -> go +X (right on screen)
+            newDir = currentDir === 1 ? -1 : 1;
+        } else { // left
+            // Moving +Z (down), turn Left -> go +X (right on screen)
+            // Moving -Z (up), turn Left -> go -X (left on screen)
+            newDir = currentDir === 1 ? 1 : -1;
+        }
+    } else {
+        newAxis = 'z';
+        if (tileDirection === 'right') {
+            // Moving +X (right), turn Right -> go +Z (down on screen)
+            // Moving -X (left), turn Right -> go -Z (up on screen)
+            newDir = currentDir === 1 ? 1 : -1;
+        } else { // left
+            // Moving +X (right), turn Left -> go -Z (up on screen)
+            // Moving -X (left), turn Left -> go +Z (down on screen)
+            newDir = currentDir === 1 ? -1 : 1;
+        }
+    }
+    return { axis: newAxis, dir: newDir };
+}
+
+// Heading (rotation around Y) of a vehicle moving along axis/dir.
+// Vehicle meshes are built with +Z as forward.
+export function headingFor(axis, dir) {
+    if (axis === 'x') {
+        return dir === 1 ? Math.PI / 2 : -Math.PI / 2; // Moving +X (Right) / -X (Left)
+    }
+    return dir === 1 ? 0 : Math.PI; // Moving +Z (Down on screen) / -Z (Up on screen)
+}
+
+// --- Traffic signals ---
+// A signal phase says which axis has green. 'off' means no signal at all.
+// Clicking a signal steps through the phases in this order.
+export const SIGNAL_PHASES = ['off', 'greenEW', 'greenNS', 'allRed'];
+
+// Does a car travelling along `axis` have to stop for this phase?
+export function isSignalRed(phase, axis) {
+    switch (phase) {
+        case 'greenEW': return axis === 'z'; // East-west (x) traffic goes
+        case 'greenNS': return axis === 'x'; // North-south (z) traffic goes
+        case 'allRed': return true;
+    }
+    return false;
+}
+
+// --- Helper: Find the next intersection ahead for a vehicle ---
+export function findNextIntersection(intersections, vPos, axis, dir, passedIntersections) {
+    let candidates = intersections.filter(c => {
+        // Check if already passed
+        const alreadyPassed = passedIntersections.some(p => p.x === c.x && p.z === c.z);
+        if (alreadyPassed) return false;
+
+        if (axis === 'z') {
+            // Vehicle on a vertical road: match x coordinate
+            if (Math.abs(c.x - vPos.x) > c.widthX / 2 + 2) return false;
+            const dist = (c.z - vPos.z) * dir;
+            return dist > -2; // Must be ahead or at intersection (allow overlap for turn trigger)
+        } else {
+            // Vehicle on a horizontal road: match z coordinate
+            if (Math.abs(c.z - vPos.z) > c.widthZ / 2 + 2) return false;
+            const dist = (c.x - vPos.x) * dir;
+            return dist > -2; // Must be ahead or at intersection
+        }
+    });
+
+    if (candidates.length === 0) return null;
+
+    // Sort by distance, pick closest
+    candidates.sort((a, b) => {
+        const distA = axis === 'z' ? (a.z - vPos.z) * dir : (a.x - vPos.x) * dir;
+        const distB = axis === 'z' ? (b.z - vPos.z) * dir : (b.x - vPos.x) * dir;
+        return distA - distB;
+    });
+
+    return candidates[0];
+}
+
+// --- Turn paths ---
+// Cars turn along a curve through the junction instead of snapping onto the
+// new road. A turn is a quarter ellipse from where the car enters the junction
+// to the new road's lane at the far edge, so turns across the oncoming lanes
+// (right turns) sweep a wider arc than left turns. A U-turn is a half circle
+// into the opposite lane.
+//
+// The path is a plain object, P(t) = center + a * cos(t) + b * sin(t) for t
+// going from 0 to `end`; `axis`/`dir` are what the car drives along afterwards.
+export function planTurnPath(intersection, x, z, fromAxis, fromDir, toAxis, toDir) {
+    const f = axisVector(fromAxis, fromDir);
+    const g = axisVector(toAxis, toDir);
+
+    if (fromAxis === toAxis) {
+        // U-turn: half circle from our lane to the opposite one
+        const roadWidth = fromAxis === 'x' ? intersection.widthZ : intersection.widthX;
+        const across = fromAxis === 'x' ? 'z' : 'x';
+        const here = across === 'x' ? x : z;
+        const target = (across === 'x' ? intersection.x : intersection.z) + laneOffset(fromAxis, toDir, roadWidth);
+        const radius = Math.abs(target - here) / 2;
+        const side = Math.sign(target - here);
+        const n = across === 'x' ? { x: side, z: 0 } : { x: 0, z: side };
+        return {
+            cx: x + n.x * radius, cz: z + n.z * radius,
+            ax: -n.x * radius, az: -n.z * radius,
+            bx: f.x * radius, bz: f.z * radius,
+            t: 0, end: Math.PI, axis: toAxis, dir: toDir
+        };
+    }
+
+    // Corner where our lane line meets the new road's lane line
+    const corner = toAxis === 'x'
+        ? { x: x, z: intersection.z + laneOffset('x', toDir, intersection.widthZ) }
+        : { x: intersection.x + laneOffset('z', toDir, intersection.widthX), z: z };
+    const exitEdge = (toAxis === 'x' ? intersection.x : intersection.z) * toDir
+        + (toAxis === 'x' ? intersection.widthX : intersection.widthZ) / 2;
+
+    // Ellipse radii: along our heading up to the corner, along the new heading out to the edge
+    const radiusIn = Math.max(1, (corner.x - x) * f.x + (corner.z - z) * f.z);
+    const radiusOut = Math.max(1, exitEdge - (corner.x * g.x + corner.z * g.z));
+    return {
+        cx: corner.x - f.x * radiusIn + g.x * radiusOut,
+        cz: corner.z - f.z * radiusIn + g.z * radiusOut,
+        ax: -g.x * radiusOut, az: -g.z * radiusOut,
+        bx: f.x * radiusIn, bz: f.z * radiusIn,
+        t: 0, end: Math.PI / 2, axis: toAxis, dir: toDir
+    };
+}
+
+// Moves `distance` along the path; returns true once the end is reached
+export function advanceTurnPath(path, distance) {
+    // |dP/dt| converts distance into a step of t
+    const sin = Math.sin(path.t);
+    const cos = Math.cos(path.t);
+    const dx = -path.ax * sin + path.bx * cos;
+    const dz = -path.az * sin + path.bz * cos;
+    path.t = Math.min(path.end, path.t + distance / (Math.sqrt(dx * dx + dz * dz) || 1));
+    return path.t >= path.end;
+}
+
+// Position and heading on the path at its current t
+export function turnPathPoint(path) {
+    const sin = Math.sin(path.t);
+    const cos = Math.cos(path.t);
+    const dx = -path.ax * sin + path.bx * cos;
+    const dz = -path.az * sin + path.bz * cos;
+    return {
+        x: path.cx + path.ax * cos + path.bx * sin,
+        z: path.cz + path.az * cos + path.bz * sin,
+        heading: Math.atan2(dx, dz)
+    };
+}
+
+function axisVector(axis, dir) {
+    return axis === 'x' ? { x: dir, z: 0 } : { x: 0, z: dir };
+}
@@ -0,0 +1,32 @@
+// --- VEHICLE TYPES ---
+// Every vehicle on the road is one of these. Sizes are the footprint on the
+// XZ plane (length runs along the direction of travel) plus the body height
+// the renderer uses; speed is in world units per tick.
+//
+//   weight  relative spawn chance
+//   points  extra crash score when the vehicle is wrecked
+//   hp      hits it takes to wreck it; survivors drive on damaged
+//   blast   how far (world units) a crash involving it drags in nearby cars
+
+export const VEHICLE_TYPES = {
+    motorcycle: { width: 1, length: 2, height: 1, speed: 0.3, weight: 2, points: 50, hp: 1, blast: 0.5 },
+    sedan: { width: 2, length: 4, height: 1, speed: 0.2, weight: 6, points: 0, hp: 1, blast: 0.5 },
+    bus: { width: 2.4, length: 9, height: 2.6, speed: 0.14, weight: 1, points: 150, hp: 1, blast: 4 },
+    truck: { width: 2.4, length: 7, height: 2.2, speed: 0.15, weight: 1, points: 100, hp: 2, blast: 1.5 }
+};
+
+const TYPE_IDS = Object.keys(VEHICLE_TYPES);
+const TOTAL_WEIGHT = TYPE_IDS.reduce((sum, id) => sum + VEHICLE_TYPES[id].weight, 0);
+
+// Picks a type id by spawn weight; `rng` is the simulation's random(). A
+// `mix` ({ typeId: weight }, see src/schedule.js) replaces the types' own weights.
+export function pickVehicleType(rng, mix = null) {
+    const ids = mix ? TYPE_IDS.filter(id => mix[id] > 0) : TYPE_IDS;
+    const weightOf = id => mix ? mix[id] : VEHICLE_TYPES[id].weight;
+    let roll = rng() * (mix ? ids.reduce((sum, id) => sum + mix[id], 0) : TOTAL_WEIGHT);
+    for (const id of ids) {
+        roll -= weightOf(id);
+        if (roll < 0) return id;
+    }
+    return ids[ids.length - 1];
+}
@@ -0,0 +1,86 @@
+// Importing scores (src/leaderboard.js) merges another machine's boards into
+// the local ones: no duplicates, boards stay trimmed, bad files are refused.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MAX_ENTRIES,
+    LEADERBOARD_VERSION,
+    addEntry,
+    boardEntries,
+    mergeLeaderboards,
+    parseLeaderboard,
+    serializeLeaderboard
+} from '../src/leaderboard.js';
+
+function entry(score, overrides = {}) {
+    return {
+        initials: 'AAA',
+        score: score,
+        date: `2024-01-01T00:00:${String(score % 60).padStart(2, '0')}.000Z`,
+        crashes: 1,
+        hp: 3,
+        mode: 'campaign',
+        board: 'stage-1',
+        ...overrides
+    };
+}
+
+function board(entries) {
+    return { version: LEADERBOARD_VERSION, entries: entries };
+}
+
+test('merging the same scores twice adds them only once', () => {
+    const local = board([]);
+    addEntry(local, entry(500));
+    const other = board([entry(500), entry(900, { initials: 'BOB' })]);
+
+    assert.equal(mergeLeaderboards(local, other), 1);
+    assert.equal(mergeLeaderboards(local, other), 0);
+    assert.deepEqual(boardEntries(local, 'stage-1').map(e => e.score), [900, 500]);
+});
+
+test('duplicates within the imported file are only added once', () => {
+    const local = board([]);
+    assert.equal(mergeLeaderboards(local, board([entry(700), entry(700)])), 1);
+    assert.equal(local.entries.length, 1);
+});
+
+test('a merged board keeps only its best entries, and other boards keep theirs', () => {
+    const local = board([]);
+    for (let i = 1; i <= MAX_ENTRIES; i++) addEntry(local, entry(i * 100));
+    addEntry(local, entry(50, { board: 'free-grid-2x2', mode: 'free' }));
+    const other = board([entry(2000, { initials: 'BOB' }), entry(150, { initials: 'BOB' })]);
+
+    mergeLeaderboards(local, other);
+    const scores = boardEntries(local, 'stage-1').map(e => e.score);
+    assert.equal(scores.length, MAX_ENTRIES);
+    assert.equal(scores[0], 2000);
+    assert.ok(!scores.includes(100) && !scores.includes(150));
+    assert.deepEqual(boardEntries(local, 'free-grid-2x2').map(e => e.score), [50]);
+});
+
+test('malformed entries are skipped when merging', () => {
+    const local = board([entry(300)]);
+    const other = board([entry(400), { initials: 'BAD', score: '9999' }, null, entry(500, { mode: 'cheat' })]);
+
+    assert.equal(mergeLeaderboards(local, other), 1);
+    assert.deepEqual(local.entries.map(e => e.score), [400, 300]);
+});
+
+test('a bad score file is refused before anything is merged', () => {
+    assert.throws(() => parseLeaderboard('not json'), /not valid JSON/);
+    assert.throws(() => parseLeaderboard(JSON.stringify({ version: 99, entries: [] })), /Unsupported score file version/);
+    assert.throws(() => parseLeaderboard(JSON.stringify({ version: LEADERBOARD_VERSION })), /no entry list/);
+    assert.throws(() => parseLeaderboard(JSON.stringify(board([entry(1), { score: 5 }]))), /Score entry 1 is invalid/);
+});
+
+test('an exported board imports back unchanged', () => {
+    const local = board([]);
+    addEntry(local, entry(800));
+    addEntry(local, entry(600, { board: 'free-t-junction', mode: 'free' }));
+    const copy = board([]);
+
+    assert.equal(mergeLeaderboards(copy, parseLeaderboard(serializeLeaderboard(local))), 2);
+    assert.deepEqual(copy.entries, local.entries);
+});
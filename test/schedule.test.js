@@ -0,0 +1,100 @@
+// The spawn schedule (src/schedule.js): weighted picks on their own, then
+// rushes and lulls as the simulation runs them. Pickups and pedestrians are
+// switched off so spawn events come from the schedule alone.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseMap } from '../src/map.js';
+import { createSimulation } from '../src/simulation.js';
+import { pickWeighted } from '../src/schedule.js';
+
+function loadMap(id) {
+    const map = parseMap(JSON.parse(readFileSync(new URL(`../maps/${id}.json`, import.meta.url))));
+    map.id = id;
+    return map;
+}
+
+// An rng that hands out the given rolls in order and counts the calls
+function scriptedRng(rolls) {
+    const rng = () => rolls[rng.calls++];
+    rng.calls = 0;
+    return rng;
+}
+
+// Runs a round on grid-2x2 for `ticks` and returns the tick of every spawn.
+// `frozen` starts the round under a freeze pickup lasting that many ticks.
+function spawnTicks(schedule, ticks, frozen = 0) {
+    const sim = createSimulation(loadMap('grid-2x2'), {
+        schedule: schedule,
+        pickupInterval: 0,
+        pedestrianInterval: 0
+    });
+    if (frozen) sim.state.effects.freeze = frozen;
+    const spawns = [];
+    for (let i = 0; i < ticks; i++) {
+        sim.step().forEach(e => {
+            if (e.type === 'spawn') spawns.push({ tick: sim.state.tick, vehicle: e.vehicle });
+        });
+    }
+    return { sim: sim, spawns: spawns };
+}
+
+// --- WEIGHTED PICKS ---
+
+test('weighted picks land in proportion to the weights and skip weight 0', () => {
+    const weights = [1, 0, 3];
+    assert.equal(pickWeighted(scriptedRng([0]), weights), 0);
+    assert.equal(pickWeighted(scriptedRng([0.2]), weights), 0);
+    assert.equal(pickWeighted(scriptedRng([0.25]), weights), 2);
+    assert.equal(pickWeighted(scriptedRng([0.99]), weights), 2);
+});
+
+test('even weights pick the same index as floor(rng() * n)', () => {
+    const weights = [1, 1, 1, 1];
+    [0, 0.1, 0.25, 0.49, 0.5, 0.74, 0.75, 0.999].forEach(roll => {
+        assert.equal(pickWeighted(scriptedRng([roll]), weights), Math.floor(roll * weights.length));
+    });
+});
+
+test('every weight 0 picks nothing and leaves the rng alone', () => {
+    const rng = scriptedRng([0.5]);
+    assert.equal(pickWeighted(rng, [0, 0, 0]), -1);
+    assert.equal(rng.calls, 0);
+});
+
+// --- PHASES ---
+
+test('a rush spawns from its own spawners on its own interval', () => {
+    // Base traffic every 100 s, so anything inside the first 3 s is the rush
+    const { sim, spawns } = spawnTicks({
+        interval: 100,
+        phases: [{ type: 'rush', from: 1, to: 3, interval: 0.5, spawners: [{ road: 'bottom' }] }]
+    }, 4 * 60);
+
+    assert.deepEqual(spawns.map(s => s.tick), [60, 90, 120, 150]);
+    const bottom = sim.map.spawners.filter(s => s.road === 'bottom');
+    spawns.forEach(({ vehicle }) => {
+        assert.ok(bottom.some(s => s.z === vehicle.z && s.dir === vehicle.dir), 'rush car off the bottom road');
+    });
+});
+
+test('a lull holds back base traffic until it ends', () => {
+    const { spawns } = spawnTicks({
+        interval: 0.5,
+        phases: [{ type: 'lull', from: 0, to: 5 }]
+    }, 7 * 60);
+
+    assert.ok(spawns.length > 0);
+    assert.ok(spawns.every(s => s.tick >= 5 * 60), `spawned during the lull at tick ${spawns[0].tick}`);
+});
+
+test('a convoy falling due during a freeze still sends all its cars', () => {
+    const convoy = {
+        interval: 1000, // No base traffic to speak of
+        phases: [{ type: 'convoy', at: 1, spawner: { road: 'left', dir: 1 }, count: 3, vehicle: 'truck' }]
+    };
+    const trucks = frozen => spawnTicks(convoy, 600, frozen).spawns.filter(s => s.vehicle.type === 'truck').length;
+    assert.equal(trucks(0), 3);
+    assert.equal(trucks(120), 3);
+});
@@ -0,0 +1,585 @@
+// Drives the headless simulation core (src/simulation.js) the way the
+// renderer does: step() once per tick with that tick's actions, then look at
+// the state and the events. Traffic is placed by hand (autoSpawn off), and
+// pickups and pedestrians are switched off so nothing else moves the score.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseMap } from '../src/map.js';
+import { createSimulation, MAX_HP } from '../src/simulation.js';
+
+function loadMap(id) {
+    const map = parseMap(JSON.parse(readFileSync(new URL(`../maps/${id}.json`, import.meta.url))));
+    map.id = id;
+    return map;
+}
+
+function createTestSimulation(options = {}) {
+    return createSimulation(loadMap('grid-2x2'), {
+        autoSpawn: false,
+        pickupInterval: 0,
+        pedestrianInterval: 0,
+        ...options
+    });
+}
+
+// Steps until `done()` holds, collecting every event on the way
+function stepUntil(sim, done, maxTicks = 2000) {
+    const events = [];
+    for (let i = 0; i < maxTicks && !done(); i++) {
+        events.push(...sim.step());
+    }
+    assert.ok(done(), `condition not reached in ${maxTicks} ticks`);
+    return events;
+}
+
+function tileIndex(sim, x, z, approachDir) {
+    return sim.state.tiles.findIndex(t => t.intersectionX === x && t.intersectionZ === z && t.approachDir === approachDir);
+}
+
+// Sets a tile the way a player does, by cycling it
+function setTile(sim, index, direction) {
+    while (sim.state.tiles[index].direction !== direction) {
+        sim.step([{ type: 'cycleTile', tile: index }]);
+    }
+}
+
+// Puts a vehicle in place, heading along `axis` in `dir`. It's spawned at
+// whichever spawn point is clear, then moved.
+function placeVehicle(sim, x, z, axis, dir, type = 'sedan') {
+    let vehicle = null;
+    for (let i = 0; !vehicle && i < sim.map.spawners.length; i++) vehicle = sim.spawnVehicle(i, type);
+    vehicle.x = x;
+    vehicle.z = z;
+    vehicle.axis = axis;
+    vehicle.dir = dir;
+    vehicle.heading = axis === 'z' ? (dir === 1 ? 0 : Math.PI) : dir * Math.PI / 2;
+    return vehicle;
+}
+
+// --- TURNS ---
+// Spawner 0 is the top of the left road (x = -20), heading +Z into the
+// top-left junction at (-20, -20) from the north.
+
+test('a car hitting a right tile ends up on the top road heading -X', () => {
+    const sim = createTestSimulation();
+    setTile(sim, tileIndex(sim, -20, -20, 'fromNorth'), 'right');
+    const car = sim.spawnVehicle(0, 'sedan');
+
+    const events = stepUntil(sim, () => car.axis === 'x');
+    assert.equal(car.dir, -1);
+    assert.equal(car.z, -14);
+    assert.ok(events.some(e => e.type === 'turn' && e.vehicle === car && e.direction === 'right'));
+});
+
+test('a car hitting a left tile ends up on the top road heading +X', () => {
+    const sim = createTestSimulation();
+    setTile(sim, tileIndex(sim, -20, -20, 'fromNorth'), 'left');
+    const car = sim.spawnVehicle(0, 'sedan');
+
+    stepUntil(sim, () => car.axis === 'x');
+    assert.equal(car.dir, 1);
+    assert.equal(car.z, -26);
+});
+
+test('a car on straight tiles drives down the left road and off the map', () => {
+    const sim = createTestSimulation();
+    const car = sim.spawnVehicle(0, 'sedan');
+
+    const events = stepUntil(sim, () => !car.active);
+    assert.equal(car.axis, 'z');
+    assert.equal(car.dir, 1);
+    assert.equal(car.passedIntersections.length, 2);
+    assert.ok(!events.some(e => e.type === 'turn'));
+    assert.ok(events.some(e => e.type === 'vehicleRemoved' && e.vehicle === car));
+});
+
+test('a car waits at a red light and drives on when it turns green', () => {
+    const sim = createTestSimulation();
+    // First phase: red for traffic along Z
+    sim.step([{ type: 'cycleSignal', signal: 0 }]);
+    const car = sim.spawnVehicle(0, 'sedan');
+
+    for (let i = 0; i < 600; i++) sim.step();
+    assert.equal(car.passedIntersections.length, 0);
+    const waitingAt = car.z;
+    sim.step();
+    assert.equal(car.z, waitingAt);
+
+    // Switch the signal back off
+    while (sim.state.signals[0].phase !== 'off') sim.step([{ type: 'cycleSignal', signal: 0 }]);
+    stepUntil(sim, () => car.passedIntersections.length === 1);
+});
+
+test('signals can start a round already running', () => {
+    const sim = createTestSimulation({ signalPhase: 'greenEW' });
+    assert.ok(sim.state.signals.every(signal => signal.phase === 'greenEW'));
+    const car = sim.spawnVehicle(0, 'sedan');
+
+    for (let i = 0; i < 600; i++) sim.step();
+    assert.equal(car.passedIntersections.length, 0);
+});
+
+test('a car behind a slower one keeps its distance instead of crashing', () => {
+    const sim = createTestSimulation();
+    const bus = sim.spawnVehicle(0, 'bus');
+    stepUntil(sim, () => bus.z > -50);
+    const bike = sim.spawnVehicle(0, 'motorcycle');
+    assert.ok(bike);
+
+    const events = stepUntil(sim, () => !bus.active);
+    assert.ok(!events.some(e => e.type === 'crash'));
+    assert.equal(sim.state.score, 0);
+});
+
+// --- TILE KINDS ---
+
+const ALL_TILES = ['straight', 'right', 'left', 'uturn', 'stop', 'boost', 'random'];
+
+test('a car hitting a U-turn tile swings round a half circle into the other lane', () => {
+    const sim = createTestSimulation({ tiles: ALL_TILES });
+    setTile(sim, tileIndex(sim, -20, -20, 'fromNorth'), 'uturn');
+    const car = sim.spawnVehicle(0, 'sedan');
+
+    const events = stepUntil(sim, () => car.turn !== null);
+    assert.ok(events.some(e => e.type === 'turn' && e.vehicle === car && e.direction === 'uturn'));
+    // From the +Z lane (x = -15) to the -Z lane (x = -25): radius 5 around x = -20
+    assert.equal(car.turn.cx, -20);
+    const centerZ = car.turn.cz;
+    const path = [];
+    stepUntil(sim, () => {
+        path.push({ x: car.x, z: car.z });
+        return car.turn === null;
+    });
+    path.forEach(p => {
+        assert.ok(Math.abs(Math.hypot(p.x + 20, p.z - centerZ) - 5) < 0.01, `off the arc at (${p.x}, ${p.z})`);
+    });
+    assert.ok(path.some(p => Math.abs(p.x + 20) < 0.5 && p.z > centerZ + 4.5), 'never reached the top of the arc');
+    assert.equal(car.axis, 'z');
+    assert.equal(car.dir, -1);
+    assert.ok(Math.abs(car.x - -25) < 0.01);
+
+    stepUntil(sim, () => !car.active);
+    assert.ok(car.z < -20);
+});
+
+test('a stop tile holds a car in the junction for its delay', () => {
+    const sim = createTestSimulation({ tiles: ALL_TILES, stopSeconds: 1 });
+    setTile(sim, tileIndex(sim, -20, -20, 'fromNorth'), 'stop');
+    const car = sim.spawnVehicle(0, 'sedan');
+
+    stepUntil(sim, () => car.passedIntersections.length === 1);
+    const heldAt = car.z;
+    for (let i = 1; i < 60; i++) {
+        sim.step();
+        assert.equal(car.z, heldAt, `moved after ${i} ticks`);
+    }
+    sim.step();
+    assert.ok(car.z > heldAt);
+    assert.equal(car.axis, 'z');
+});
+
+test('a boost tile speeds a car through the junction', () => {
+    const sim = createTestSimulation({ tiles: ALL_TILES });
+    setTile(sim, tileIndex(sim, -20, -20, 'fromNorth'), 'boost');
+    const car = sim.spawnVehicle(0, 'sedan');
+
+    stepUntil(sim, () => car.passedIntersections.length === 1);
+    const z = car.z;
+    sim.step();
+    assert.ok(Math.abs(car.z - z - car.speed * 2) < 1e-9, `moved ${car.z - z}`);
+});
+
+test('a random tile picks each car\'s direction from the seeded RNG', () => {
+    const sendCars = seed => {
+        const sim = createTestSimulation({ seed: seed, timeLimit: 600, tiles: ALL_TILES });
+        setTile(sim, tileIndex(sim, -20, -20, 'fromNorth'), 'random');
+        const picks = [];
+        for (let i = 0; i < 12; i++) {
+            const car = sim.spawnVehicle(0, 'sedan');
+            const events = stepUntil(sim, () => car.passedIntersections.length > 0);
+            const turn = events.find(e => e.type === 'turn' && e.vehicle === car);
+            picks.push(turn ? turn.direction : 'straight');
+            stepUntil(sim, () => !car.active);
+        }
+        return picks;
+    };
+    const picks = sendCars(7);
+    assert.deepEqual(sendCars(7), picks);
+    assert.ok(new Set(picks).size > 1, `every car went ${picks[0]}`);
+});
+
+// --- COLLISIONS & SCORING ---
+// A crash scores CRASH_POINTS (100) plus PILEUP_POINTS (150) per car past the
+// first two and ROUTING_POINTS (50) per tile turn, times the combo multiplier.
+
+test('two cars crossing in a junction crash and score', () => {
+    const sim = createTestSimulation();
+    const a = placeVehicle(sim, -20, -22, 'z', 1);
+    const b = placeVehicle(sim, -22, -20, 'x', 1);
+
+    const events = sim.step();
+    const crash = events.find(e => e.type === 'crash');
+    assert.ok(crash);
+    assert.equal(crash.vehicles, 2);
+    assert.equal(crash.wrecked, 2);
+    assert.equal(crash.points, 100);
+    assert.equal(crash.multiplier, 1);
+    assert.ok(!a.active && !b.active);
+    assert.equal(sim.state.vehicles.length, 0);
+    assert.equal(sim.state.score, 100);
+});
+
+test('a truck survives its first crash damaged', () => {
+    const sim = createTestSimulation();
+    const truck = placeVehicle(sim, -20, -22, 'z', 1, 'truck');
+    placeVehicle(sim, -22, -20, 'x', 1);
+
+    const events = sim.step();
+    assert.ok(events.some(e => e.type === 'vehicleDamaged' && e.vehicle === truck));
+    assert.ok(truck.active);
+    assert.equal(truck.hp, 1);
+    // A sedan wreck plus one surviving truck: no type points
+    assert.equal(events.find(e => e.type === 'crash').wrecked, 1);
+});
+
+test('a wrecked bus scores its type points on top of the crash', () => {
+    const sim = createTestSimulation();
+    placeVehicle(sim, -20, -22, 'z', 1, 'bus');
+    placeVehicle(sim, -22, -20, 'x', 1);
+
+    assert.equal(sim.step().find(e => e.type === 'crash').points, 100 + 150);
+});
+
+test('a pileup scores every car past the first two', () => {
+    const sim = createTestSimulation();
+    placeVehicle(sim, -20, -22, 'z', 1);
+    placeVehicle(sim, -22, -20, 'x', 1);
+    placeVehicle(sim, -18, -20, 'x', -1);
+
+    const crash = sim.step().find(e => e.type === 'crash');
+    assert.equal(crash.vehicles, 3);
+    assert.equal(crash.points, 250);
+});
+
+test('crashed cars score the tile turns they took', () => {
+    const sim = createTestSimulation();
+    const a = placeVehicle(sim, -20, -22, 'z', 1);
+    placeVehicle(sim, -22, -20, 'x', 1);
+    a.turns = 2;
+
+    const crash = sim.step().find(e => e.type === 'crash');
+    assert.equal(crash.turns, 2);
+    assert.equal(crash.points, 200);
+});
+
+test('crashes in quick succession build a combo that breaks after two seconds', () => {
+    const sim = createTestSimulation();
+    const crashAt = (x, z) => {
+        placeVehicle(sim, x, z - 2, 'z', 1);
+        placeVehicle(sim, x - 2, z, 'x', 1);
+        return sim.step().find(e => e.type === 'crash');
+    };
+
+    assert.equal(crashAt(-20, -20).multiplier, 1);
+    for (let i = 0; i < 30; i++) sim.step();
+    const second = crashAt(20, -20);
+    assert.equal(second.multiplier, 2);
+    assert.equal(second.points, 200);
+    assert.equal(sim.state.combo.chain, 2);
+
+    // Let the chain run out
+    for (let i = 0; i < 120; i++) sim.step();
+    assert.equal(sim.state.combo.multiplier, 1);
+    assert.equal(crashAt(-20, 20).multiplier, 1);
+    assert.equal(sim.state.score, 100 + 200 + 100);
+});
+
+// --- BARRICADES ---
+// Spawner 0 drives +Z down the left road (x = -20, 20 wide) in the lane at x = -15.
+
+// Puts a barricade down where the player stands at (x, z), then walks the
+// player off the road
+function dropBarricade(sim, kind, x, z, heading = 0) {
+    const player = sim.state.player;
+    player.x = x;
+    player.z = z;
+    player.heading = heading;
+    const placed = sim.step([{ type: 'barricade', kind: kind }]).find(e => e.type === 'barricadePlaced');
+    player.x = 0;
+    player.z = 0;
+    return placed ? placed.barricade : null;
+}
+
+test('a barricade snaps to the middle of the nearest lane, turned across it', () => {
+    const sim = createTestSimulation();
+    const near = dropBarricade(sim, 'barrier', -17, -50);
+    assert.deepEqual([near.x, near.z, near.heading], [-15, -50, 0]);
+    const far = dropBarricade(sim, 'barrier', -22, -50);
+    assert.deepEqual([far.x, far.z, far.heading], [-25, -50, 0]);
+    // Top road (z = -20), player facing along it
+    const across = dropBarricade(sim, 'barrier', -50, -18, Math.PI / 2);
+    assert.deepEqual([across.x, across.z, across.heading], [-50, -14, Math.PI / 2]);
+});
+
+test('a car driving into a barrier crashes and takes the barrier with it', () => {
+    const sim = createTestSimulation();
+    dropBarricade(sim, 'barrier', -15, -50);
+    const car = sim.spawnVehicle(0, 'sedan');
+
+    const events = stepUntil(sim, () => !car.active);
+    assert.ok(events.some(e => e.type === 'barricadeCrash' && e.points === 100));
+    assert.equal(sim.state.barricades.length, 0);
+    assert.equal(sim.state.score, 100);
+});
+
+test('concrete takes three cars before it is worn out', () => {
+    const sim = createTestSimulation();
+    const block = dropBarricade(sim, 'concrete', -15, -50);
+    for (let hits = 1; hits <= 3; hits++) {
+        const car = sim.spawnVehicle(0, 'sedan');
+        stepUntil(sim, () => !car.active);
+        assert.equal(block.hp, 3 - hits);
+        assert.equal(sim.state.barricades.includes(block), hits < 3);
+    }
+    assert.equal(sim.state.barricades.length, 0);
+});
+
+test('cones turn a car round into the other lane', () => {
+    const sim = createTestSimulation();
+    dropBarricade(sim, 'cones', -15, -50);
+    const car = sim.spawnVehicle(0, 'sedan');
+
+    const events = stepUntil(sim, () => car.dir === -1 && car.turn === null);
+    assert.ok(events.some(e => e.type === 'barricadeTriggered' && e.effect === 'deflect'));
+    assert.ok(!events.some(e => e.type === 'barricadeCrash'));
+    assert.equal(car.axis, 'z');
+    assert.ok(Math.abs(car.x - -25) < 0.01);
+    stepUntil(sim, () => !car.active);
+    assert.equal(sim.state.score, 0);
+});
+
+test('an oil slick slides a car across into the oncoming lane', () => {
+    const sim = createTestSimulation();
+    const oil = dropBarricade(sim, 'oil', -15, -50);
+    const car = sim.spawnVehicle(0, 'sedan');
+
+    const events = stepUntil(sim, () => car.skidTicks > 0);
+    assert.ok(events.some(e => e.type === 'barricadeTriggered' && e.effect === 'skid'));
+    stepUntil(sim, () => car.skidTicks === 0);
+    assert.ok(Math.abs(car.x - -25) < 0.01);
+    assert.equal(car.dir, 1); // Still heading the same way
+    assert.equal(oil.hp, 2);
+});
+
+test('a spike strip stalls a car for good and the car behind runs into it', () => {
+    const sim = createTestSimulation();
+    dropBarricade(sim, 'spikes', -15, -50);
+    const first = sim.spawnVehicle(0, 'sedan');
+    stepUntil(sim, () => first.stalled);
+    const stalledAt = first.z;
+    for (let i = 0; i < 60; i++) sim.step();
+    assert.equal(first.z, stalledAt);
+
+    const second = sim.spawnVehicle(0, 'sedan');
+    const events = stepUntil(sim, () => !second.active);
+    assert.ok(events.some(e => e.type === 'crash'));
+    assert.ok(!first.active);
+});
+
+test('only the newest barricades are kept', () => {
+    const sim = createTestSimulation();
+    const placed = [];
+    for (let i = 0; i < 4; i++) {
+        placed.push(sim.step([{ type: 'barricade' }]).find(e => e.type === 'barricadePlaced').barricade);
+    }
+    assert.deepEqual(sim.state.barricades, placed.slice(1));
+});
+
+test('the oldest barricades make way when the slots run out', () => {
+    const sim = createTestSimulation(); // 3 slots
+    const concrete = dropBarricade(sim, 'concrete', -15, -50); // 2 slots
+    const barrier = dropBarricade(sim, 'barrier', -15, -40);
+    assert.deepEqual(sim.state.barricades, [concrete, barrier]);
+    const cones = dropBarricade(sim, 'cones', -15, -30);
+    assert.deepEqual(sim.state.barricades, [barrier, cones]);
+});
+
+test('a car running the player over costs a life, and the last one ends the round', () => {
+    const sim = createTestSimulation();
+    for (let hp = MAX_HP - 1; hp >= 0; hp--) {
+        sim.state.player.invincible = 0;
+        const car = placeVehicle(sim, sim.state.player.x, sim.state.player.z - 5, 'z', 1);
+        const events = stepUntil(sim, () => !car.active);
+        assert.ok(events.some(e => e.type === 'playerHit'));
+        assert.equal(sim.state.player.hp, hp);
+    }
+    assert.equal(sim.state.gameState, 'over');
+    assert.equal(sim.state.score, 0);
+});
+
+// --- PICKUPS ---
+
+// Drops a pickup right where the player stands; the next step collects it
+function dropPickupOnPlayer(sim, type) {
+    sim.state.pickups.push({ id: 999, type: type, x: sim.state.player.x, z: sim.state.player.z, ticksLeft: 600 });
+}
+
+function isOnRoad(map, x, z) {
+    return map.roads.some(road => {
+        const along = road.axis === 'x' ? x : z;
+        const across = road.axis === 'x' ? z : x;
+        return along >= road.min && along <= road.max && Math.abs(across - road.at) <= road.width / 2;
+    });
+}
+
+test('pickups turn up on the road network and vanish if nobody collects them', () => {
+    const sim = createTestSimulation({ pickupInterval: 1, maxPickups: 3, timeLimit: 120 });
+    sim.state.player.x = 0; // Off the roads, out of reach
+    sim.state.player.z = 0;
+    const spawned = [];
+    const expired = [];
+    for (let i = 0; i < 60 * 60; i++) {
+        sim.step().forEach(e => {
+            if (e.type === 'pickupSpawned') spawned.push(e.pickup);
+            if (e.type === 'pickupExpired') expired.push(e.pickup);
+        });
+        assert.ok(sim.state.pickups.length <= 3);
+    }
+    assert.ok(spawned.length > 10);
+    spawned.forEach(p => assert.ok(isOnRoad(sim.map, p.x, p.z), `pickup off the road at (${p.x}, ${p.z})`));
+    assert.ok(expired.length > 0);
+    assert.ok(expired.every(p => spawned.includes(p)));
+});
+
+test('a timed pickup runs for its duration and then wears off', () => {
+    const sim = createTestSimulation();
+    dropPickupOnPlayer(sim, 'doubler');
+    const events = sim.step();
+    assert.ok(events.some(e => e.type === 'pickupCollected'));
+    assert.equal(sim.state.effects.doubler, 8 * 60);
+
+    // Crashes score double while it runs
+    placeVehicle(sim, -20, -22, 'z', 1);
+    placeVehicle(sim, -22, -20, 'x', 1);
+    assert.equal(sim.step().find(e => e.type === 'crash').points, 200);
+
+    for (let i = 0; i < 8 * 60 - 1; i++) sim.step();
+    assert.equal(sim.state.effects.doubler, 0);
+    for (let i = 0; i < 150; i++) sim.step(); // Let the combo run out too
+    placeVehicle(sim, 20, -22, 'z', 1);
+    placeVehicle(sim, 18, -20, 'x', 1);
+    assert.equal(sim.step().find(e => e.type === 'crash').points, 100);
+});
+
+test('a freeze pickup stops all traffic until it wears off', () => {
+    const sim = createTestSimulation();
+    const car = sim.spawnVehicle(0, 'sedan');
+    sim.step();
+    dropPickupOnPlayer(sim, 'freeze');
+    sim.step();
+    const frozenAt = car.z;
+    for (let i = 0; i < 4 * 60; i++) {
+        sim.step();
+        assert.equal(car.z, frozenAt);
+    }
+    sim.step();
+    assert.ok(car.z > frozenAt);
+});
+
+// --- PEDESTRIANS ---
+
+// A round where one pedestrian at a time steps up to a crosswalk; returns
+// the simulation once the first one is waiting at the curb
+function withPedestrian(options = {}) {
+    const sim = createTestSimulation({ pedestrianInterval: 1, maxPedestrians: 1, ...options });
+    stepUntil(sim, () => sim.state.pedestrians.length > 0);
+    return sim;
+}
+
+function standAt(sim, x, z) {
+    sim.state.player.x = x;
+    sim.state.player.z = z;
+}
+
+test('running a pedestrian over costs points and counts toward the round\'s limit', () => {
+    const sim = withPedestrian({ pedestrianLimit: 2 });
+    sim.state.score = 300;
+    const hitPedestrian = () => {
+        const p = sim.state.pedestrians[0];
+        placeVehicle(sim, p.x, p.z, p.axis === 'x' ? 'z' : 'x', 1);
+        return stepUntil(sim, () => !sim.state.pedestrians.includes(p)).find(e => e.type === 'pedestrianHit');
+    };
+
+    assert.equal(hitPedestrian().penalty, 250);
+    assert.equal(sim.state.score, 50);
+    assert.equal(sim.state.pedestriansHit, 1);
+    assert.equal(sim.state.gameState, 'playing');
+
+    stepUntil(sim, () => sim.state.pedestrians.length > 0);
+    assert.equal(hitPedestrian().penalty, 50); // The score doesn't go below zero
+    assert.equal(sim.state.pedestriansHit, 2);
+    assert.equal(sim.state.gameState, 'over');
+});
+
+test('the player holds a pedestrian back at the curb by standing next to them', () => {
+    const sim = withPedestrian();
+    const p = sim.state.pedestrians[0];
+    standAt(sim, p.x, p.z);
+    const curbTicks = p.curbTicks;
+    const waitingAt = { x: p.x, z: p.z };
+
+    for (let i = 0; i < 300; i++) sim.step();
+    assert.ok(p.held);
+    assert.equal(p.curbTicks, curbTicks);
+    assert.deepEqual({ x: p.x, z: p.z }, waitingAt);
+
+    standAt(sim, 0, 0);
+    stepUntil(sim, () => p.walking);
+    assert.ok(!p.held);
+    assert.ok(Math.abs(Math.abs(p[p.axis] - waitingAt[p.axis]) - 0.05) < 1e-9, 'walks at the normal pace');
+});
+
+test('an escorted pedestrian crosses faster', () => {
+    const sim = withPedestrian();
+    const p = sim.state.pedestrians[0];
+    stepUntil(sim, () => p.walking);
+    standAt(sim, p.x, p.z);
+    const from = p[p.axis];
+    sim.step();
+    assert.ok(Math.abs(Math.abs(p[p.axis] - from) - 0.12) < 1e-9);
+
+    const events = stepUntil(sim, () => !sim.state.pedestrians.includes(p), 600);
+    assert.ok(events.some(e => e.type === 'pedestrianCrossed' && e.pedestrian === p));
+});
+
+// --- ROUND ---
+
+test('the round is cleared once time runs out with the target score', () => {
+    const sim = createTestSimulation({ timeLimit: 2, targetScore: 100 });
+    placeVehicle(sim, -20, -22, 'z', 1);
+    placeVehicle(sim, -22, -20, 'x', 1);
+
+    const events = stepUntil(sim, () => sim.state.gameState !== 'playing');
+    assert.equal(sim.state.gameState, 'clear');
+    assert.ok(events.some(e => e.type === 'gameEnd' && e.result === 'clear'));
+});
+
+test('the round is lost when time runs out short of the target', () => {
+    const sim = createTestSimulation({ timeLimit: 2, targetScore: 100 });
+    stepUntil(sim, () => sim.state.gameState !== 'playing');
+    assert.equal(sim.state.gameState, 'over');
+});
+
+test('the same seed and actions replay the same round', () => {
+    const play = () => {
+        const sim = createSimulation(loadMap('grid-3x3'), { seed: 42 });
+        for (let i = 0; i < 1800; i++) {
+            sim.step(i % 60 === 0 ? [{ type: 'cycleTile', tile: (i / 60) % sim.state.tiles.length }] : []);
+        }
+        return sim.state;
+    };
+    assert.deepEqual(play(), play());
+});
+
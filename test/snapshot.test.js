@@ -0,0 +1,71 @@
+// A run saved mid-round (src/snapshot.js) and resumed in a fresh simulation
+// has to carry on exactly as if it had never stopped.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseMap } from '../src/map.js';
+import { createSimulation } from '../src/simulation.js';
+import { createSnapshot, serializeSnapshot, parseSnapshot } from '../src/snapshot.js';
+
+function loadMap(id) {
+    const map = parseMap(JSON.parse(readFileSync(new URL(`../maps/${id}.json`, import.meta.url))));
+    map.id = id;
+    return map;
+}
+
+const ROUND = { seed: 1234, timeLimit: 90, tiles: ['straight', 'right', 'left', 'uturn', 'stop', 'boost', 'random'] };
+
+// The same player input every run: a tile, a signal or a barricade now and then
+function actionsFor(sim, tick) {
+    if (tick % 45 === 0) return [{ type: 'cycleTile', tile: (tick / 45) % sim.state.tiles.length }];
+    if (tick % 200 === 0) return [{ type: 'cycleSignal', signal: (tick / 200) % sim.state.signals.length }];
+    if (tick % 330 === 0) return [{ type: 'move', x: 20, z: 0 }, { type: 'barricade' }];
+    return [];
+}
+
+// Snapshots go through JSON, which doesn't keep -0: compare states the same way
+function plain(state) {
+    return JSON.parse(JSON.stringify(state));
+}
+
+// Event log of a stretch of ticks, with vehicles reduced to their ids
+function play(sim, ticks) {
+    const log = [];
+    for (let i = 0; i < ticks; i++) {
+        const events = sim.step(actionsFor(sim, sim.state.tick + 1));
+        log.push(events.map(e => `${e.type}:${e.vehicle ? e.vehicle.id : ''}:${e.points ?? ''}`).join(','));
+    }
+    return log;
+}
+
+test('a run restored from a snapshot carries on exactly like the original', () => {
+    const map = loadMap('grid-3x3');
+    const original = createSimulation(map, ROUND);
+    play(original, 1500);
+    assert.ok(original.state.vehicles.length > 0);
+
+    const saved = serializeSnapshot(createSnapshot(original.snapshot(), ROUND.seed, map.id));
+    const resumed = createSimulation(map, ROUND).restore(parseSnapshot(saved).sim);
+    assert.deepEqual(plain(resumed.state), plain(original.state));
+
+    assert.deepEqual(play(resumed, 2000), play(original, 2000));
+    assert.deepEqual(plain(resumed.state), plain(original.state));
+    assert.ok(original.state.score > 0);
+});
+
+test('a snapshot does not restore onto a different map', () => {
+    const original = createSimulation(loadMap('grid-3x3'), ROUND);
+    play(original, 60);
+    const other = createSimulation(loadMap('grid-2x2'), ROUND);
+    assert.throws(() => other.restore(original.snapshot()), /does not match this map/);
+});
+
+test('a damaged save file is refused with a readable message', () => {
+    assert.throws(() => parseSnapshot('{'), /not valid JSON/);
+    assert.throws(() => parseSnapshot(JSON.stringify({ version: 0 })), /Unsupported save version/);
+    const sim = createSimulation(loadMap('grid-2x2'), ROUND);
+    const snapshot = createSnapshot(sim.snapshot(), ROUND.seed, 'grid-2x2');
+    delete snapshot.sim.state.vehicles;
+    assert.throws(() => parseSnapshot(serializeSnapshot(snapshot)), /incomplete simulation state/);
+});
@@ -0,0 +1,86 @@
+// The broadphase (src/spatial.js) may only narrow the search: every pair of
+// overlapping bounds a brute-force O(n^2) check finds has to come back from
+// query() too, after any number of moves and removals.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSpatialHash } from '../src/spatial.js';
+import { createRng } from '../src/rng.js';
+
+function overlaps(a, b) {
+    return a.minX <= b.maxX && a.maxX >= b.minX && a.minZ <= b.maxZ && a.maxZ >= b.minZ;
+}
+
+// Car-sized bounds somewhere on a map about as big as the metro one
+function randomBounds(rng) {
+    const x = (rng() - 0.5) * 200;
+    const z = (rng() - 0.5) * 200;
+    const sizeX = 1 + rng() * 8;
+    const sizeZ = 1 + rng() * 8;
+    return { minX: x - sizeX / 2, maxX: x + sizeX / 2, minZ: z - sizeZ / 2, maxZ: z + sizeZ / 2 };
+}
+
+function pairKey(a, b) {
+    return a.id < b.id ? `${a.id}-${b.id}` : `${b.id}-${a.id}`;
+}
+
+function bruteForcePairs(items) {
+    const pairs = new Set();
+    for (let i = 0; i < items.length; i++) {
+        for (let j = i + 1; j < items.length; j++) {
+            if (overlaps(items[i].bounds, items[j].bounds)) pairs.add(pairKey(items[i], items[j]));
+        }
+    }
+    return pairs;
+}
+
+function hashPairs(hash, items) {
+    const pairs = new Set();
+    items.forEach(item => {
+        hash.query(item.bounds).forEach(other => {
+            if (other !== item && overlaps(item.bounds, other.bounds)) pairs.add(pairKey(item, other));
+        });
+    });
+    return pairs;
+}
+
+test('the spatial hash finds the same overlapping pairs as checking every pair', () => {
+    const rng = createRng(11);
+    const hash = createSpatialHash(8);
+    let items = [];
+    for (let id = 1; id <= 300; id++) {
+        const item = { id: id, bounds: randomBounds(rng) };
+        items.push(item);
+        hash.insert(item, item.bounds);
+    }
+
+    for (let round = 0; round < 20; round++) {
+        const expected = bruteForcePairs(items);
+        assert.ok(expected.size > 0);
+        assert.deepEqual(hashPairs(hash, items), expected);
+
+        // Traffic moves on: most items shift a little, some leave the map
+        items.forEach(item => {
+            const dx = (rng() - 0.5) * 4;
+            const dz = (rng() - 0.5) * 4;
+            const b = item.bounds;
+            item.bounds = { minX: b.minX + dx, maxX: b.maxX + dx, minZ: b.minZ + dz, maxZ: b.maxZ + dz };
+            hash.update(item, item.bounds);
+        });
+        items = items.filter(item => {
+            if (rng() > 0.05) return true;
+            hash.remove(item);
+            return false;
+        });
+    }
+});
+
+test('a query returns each item once, however many cells it covers', () => {
+    const hash = createSpatialHash(2);
+    const bus = { id: 1 };
+    hash.insert(bus, { minX: -1, maxX: 1, minZ: -5, maxZ: 5 });
+
+    assert.deepEqual(hash.query({ minX: -10, maxX: 10, minZ: -10, maxZ: 10 }), [bus]);
+    hash.remove(bus);
+    assert.deepEqual(hash.query({ minX: -10, maxX: 10, minZ: -10, maxZ: 10 }), []);
+});
@@ -0,0 +1,47 @@
+// The campaign (stages/campaign.json) has to ask something of the player:
+// every stage is played out without a single input and must not clear.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseMap } from '../src/map.js';
+import { createSimulation } from '../src/simulation.js';
+import { parseStages } from '../src/stages.js';
+
+const stages = parseStages(JSON.parse(readFileSync(new URL('../stages/campaign.json', import.meta.url))));
+
+function loadMap(id) {
+    const map = parseMap(JSON.parse(readFileSync(new URL(`../maps/${id}.json`, import.meta.url))));
+    map.id = id;
+    return map;
+}
+
+test('stage targets rise through the campaign', () => {
+    for (let i = 1; i < stages.length; i++) {
+        assert.ok(stages[i].targetScore > stages[i - 1].targetScore,
+            `stage ${i + 1} (${stages[i].name}) asks no more than stage ${i}`);
+    }
+});
+
+for (const round of stages) {
+    test(`stage ${round.stage} (${round.name}) is not cleared by an idle run`, () => {
+        const map = loadMap(round.mapId);
+        for (const seed of [1, 2, 3]) {
+            const sim = createSimulation(map, { ...round, seed: seed });
+            while (sim.state.gameState === 'playing') sim.step();
+            assert.equal(sim.state.gameState, 'over', `cleared idle on seed ${seed} with ${sim.state.score} points`);
+        }
+    });
+}
+
+test('Metro Meltdown fills the road up to its 300-car cap', () => {
+    const round = stages.find(s => s.name === 'Metro Meltdown');
+    assert.equal(round.maxVehicles, 300);
+    const sim = createSimulation(loadMap(round.mapId), { ...round, seed: 1 });
+    let peak = 0;
+    for (let i = 0; i < 60 * 60 && peak < round.maxVehicles; i++) {
+        sim.step();
+        peak = Math.max(peak, sim.state.vehicles.length);
+    }
+    assert.equal(peak, round.maxVehicles);
+});